@@ -1,8 +1,36 @@
 const error = require('./src/error');
 
+const ExtensionDetector = require('./src/ExtensionDetector');
+const RelativeDateResolver = require('./src/RelativeDateResolver');
+const SchemaInspector = require('./src/SchemaInspector');
+const SchemaValidator = require('./src/SchemaValidator');
 const SearchQueryBuilder = require('./src/SearchQueryBuilder');
-const { UnknownPropertyError } = require('./src/error');
+const ValueCoercer = require('./src/ValueCoercer');
+const {
+    InvalidValueError,
+    MissingExtensionError,
+    SchemaResolutionError,
+    SchemaValidationError,
+    UnknownOperatorError,
+    UnknownPropertyError,
+} = require('./src/error');
 
+// errors caused by invalid filters sent by the client
+const clientErrors = [
+    InvalidValueError,
+    UnknownOperatorError,
+    UnknownPropertyError,
+];
+
+// codes of the postgres errors caused by invalid values of the filter
+const clientDatabaseErrors = {
+    '2201B': 'invalid regular expression',
+    // e.g. the unknown text search configuration (language) of a match query
+    42704: 'undefined object',
+};
+
+// key of the ranked ids (per model) stored on the options of a find invocation
+const rankingKey = Symbol('relationFilterRanking');
 
 /**
  * Returns the filter query (either sent via API or remote method invocation).
@@ -15,6 +43,161 @@ function getWhereFilter(context = {}) {
     return query.where;
 }
 
+/**
+ * Returns the free text search of the filter (see the searchFields setting).
+ *
+ * @param context the loopback request context
+ * @returns {(string|undefined)}
+ */
+function getSearch(context = {}) {
+    const query = context.query || {};
+    return query.search;
+}
+
+/**
+ * Returns the names of the id properties of a model (ordered by their index), i.e. all the
+ * properties of composite ids.
+ *
+ * @param model a loopback model
+ * @returns {Array}
+ */
+function getIdNames(model) {
+    const idNames = model.definition.idNames();
+    return idNames.length > 1 ? idNames : [model.getIdName()];
+}
+
+/**
+ * Returns the key identifying an entity (or an entry of the database result) by its id, i.e. by
+ * the combination of the values of composite ids.
+ *
+ * @param entity the entity
+ * @param idNames the names of the id properties
+ * @returns {string}
+ */
+function getIdKey(entity, idNames) {
+    return JSON.stringify(idNames.map(idName => String(entity[idName])));
+}
+
+/**
+ * Creates the where filter restricting the queried model to the entries of the database result:
+ * composite ids are restricted to the combinations of their values.
+ *
+ * @param idNames the names of the id properties
+ * @param result the entries of the database result
+ * @returns {Object}
+ */
+function createIdFilter(idNames, result) {
+    if (idNames.length === 1) {
+        const [idName] = idNames;
+        return { [idName]: { inq: result.map(entry => entry[idName]) } };
+    }
+    return {
+        or: result.map(entry => ({
+            and: idNames.map(idName => ({ [idName]: entry[idName] })),
+        })),
+    };
+}
+
+/**
+ * Stores the ids ordered by their ranking (distance or similarity) on the options of the find
+ * invocation.
+ *
+ * @param options the options passed to find
+ * @param model a loopback model
+ * @param ids the ordered ids (see getIdKey)
+ */
+function storeRanking(options, model, ids) {
+    if (!options) {
+        return;
+    }
+    const ranking = Object.assign({}, options[rankingKey], { [model.modelName]: ids });
+    Object.assign(options, { [rankingKey]: ranking });
+}
+
+/**
+ * Creates the function which is invoked after the remote method 'find': Loopback can not order
+ * the result by distance or similarity, therefore the result is sorted by the ids returned from
+ * the database.
+ *
+ * @param model a loopback model
+ * @returns {Function}
+ */
+function orderByRanking(model) {
+    return function(ctx, result, next) {
+        const options = ctx.args.options || {};
+        const orderedIds = (options[rankingKey] || {})[model.modelName];
+        if (orderedIds && Array.isArray(ctx.result)) {
+            const idNames = getIdNames(model);
+            const positions = new Map(orderedIds.map((id, index) => [id, index]));
+            const position = entity => positions.get(getIdKey(entity, idNames));
+            ctx.result.sort((a, b) => position(a) - position(b));
+        }
+        next();
+    };
+}
+
+/**
+ * Binds the schemaResolver setting to the options of a find invocation (e.g. the access token or
+ * the tenant injected from the remote context). The resolver is invoked with the name of a queried
+ * model, the schema of the model's settings and the options and returns the schema of the model's
+ * table (a falsy value keeps the schema of the settings).
+ *
+ * @param schemaResolver the resolver of the component settings
+ * @param options the options of the find invocation
+ * @returns {Function} the resolver passed to the SearchQueryBuilder
+ */
+function bindSchemaResolver(schemaResolver, options = {}) {
+    return function(modelName, schema) {
+        const resolvedSchema = schemaResolver({ modelName, schema, options });
+        if (resolvedSchema && typeof resolvedSchema !== 'string') {
+            throw new SchemaResolutionError(`The schemaResolver returned an invalid schema for the model ${modelName}, a string is expected.`);
+        }
+        return resolvedSchema || null;
+    };
+}
+
+/**
+ * Wraps the methods of a connector loading the entities of a model (all, which is also used by
+ * findOne and findById, and count) to load the entities of models with a schemaResolver from the
+ * table of the resolved schema: the component only selects the ids of the matching entities,
+ * loopback loads the entities of the ids.
+ *
+ * @param connector the connector of a loopback data source
+ * @param schemaResolvers the schemaResolver settings by name of the model
+ */
+function resolveSchemasOfConnector(connector, schemaResolvers) {
+    ['all', 'count'].forEach((method) => {
+        const invoke = connector[method];
+        if (typeof invoke !== 'function') {
+            return;
+        }
+        // loopback only passes the options to methods declaring them
+        function resolveSchema(modelName, query, options, cb) {
+            const schemaResolver = schemaResolvers.get(modelName);
+            const configuredSchema = connector.schema(modelName);
+            let schema = null;
+            try {
+                schema = schemaResolver
+                    ? bindSchemaResolver(schemaResolver, options)(modelName, configuredSchema)
+                    : null;
+            } catch (err) {
+                return process.nextTick(() => cb(err));
+            }
+            if (!schema || schema === configuredSchema) {
+                return invoke.call(connector, modelName, query, options, cb);
+            }
+            // the statement is built (synchronously) from the schema returned by the connector
+            const resolvingConnector = Object.create(connector, {
+                schema: {
+                    value: name => (name === modelName ? schema : connector.schema(name)),
+                },
+            });
+            return invoke.call(resolvingConnector, modelName, query, options, cb);
+        }
+        Object.assign(connector, { [method]: resolveSchema });
+    });
+}
+
 /**
  * Creates the function which is invoked for the 'find' and 'findOne' remote hook of loopback.
  *
@@ -22,37 +205,88 @@ function getWhereFilter(context = {}) {
  *
  * @param model a loopback model
  * @param models the loopback models object
+ * @param extensionDetector the detector storing the missing extensions
+ * @param schemaInspector the inspector providing the columns of the tables
  * @returns {Function}
  */
 function extendedFindQuery(
     model,
     models,
+    extensionDetector,
+    schemaInspector,
     {
         rejectUnknownProperties = false,
         preserveColumnCase = true,
+        searchFields = [],
+        timezone = 'UTC',
+        schemaResolver = null,
     } = {},
 ) {
-    return function(ctx, next) {
+    return function findQuery(ctx, next, schemasInspected = false) {
         const originalWhere = getWhereFilter(ctx);
-        if (!originalWhere) {
+        const search = getSearch(ctx);
+        if (!originalWhere && !search) {
             next();
         } else {
+            const resolveSchema = schemaResolver
+                ? bindSchemaResolver(schemaResolver, ctx.options)
+                : null;
             const builder = new SearchQueryBuilder(
                 models,
                 {
                     rejectUnknownProperties,
                     preserveColumnCase,
+                    searchFields,
+                    missingExtensions: extensionDetector.getMissingExtensions(model.dataSource),
+                    timezone,
+                    schema: schemaInspector,
+                    schemaResolver: resolveSchema,
                 },
             );
             const query = Object.assign({}, originalWhere);
+            const {
+                order,
+                limit,
+                skip,
+                offset,
+            } = ctx.query;
+            const filter = {
+                where: query,
+                search,
+                order,
+                limit,
+                skip,
+                offset,
+            };
 
             try {
-                const idName = model.getIdName();
-                const databaseQuery = builder.buildQuery(model.modelName, { where: query });
-                const sqlString = databaseQuery.toString();
+                const idNames = getIdNames(model);
+                const [idName] = idNames;
+                const databaseQuery = builder.buildQuery(model.modelName, filter);
+                const isRanked = builder.isRanked(model.modelName, filter);
+                // the values are bound (not inlined) to keep the offsets of dates, i.e. dates are
+                // not rendered in the local time of the server
+                const { sql, bindings } = databaseQuery.toSQL().toNative();
+                // the tables of schemas resolved for the first time (e.g. of a new tenant) are
+                // inspected and the query is built again to resolve their columns
+                const uninspectedSchemas = builder
+                    .getResolvedSchemas()
+                    .filter(schema => !schemaInspector.isInspected(model.dataSource, schema));
+                if (uninspectedSchemas.length && !schemasInspected) {
+                    Promise
+                        .all(uninspectedSchemas.map(schema => schemaInspector
+                            .inspectSchema(model.dataSource, schema)))
+                        .catch(() => null)
+                        .then(() => findQuery(ctx, next, true));
+                    return;
+                }
 
-                model.dataSource.connector.execute(sqlString, (err, result) => {
-                    if (err) {
+                model.dataSource.connector.execute(sql, bindings, (err, result) => {
+                    if (err && clientDatabaseErrors[err.code]) {
+                        const clientError = new InvalidValueError(`Invalid filter, the database reported an ${clientDatabaseErrors[err.code]}: ${err.message}`);
+                        clientError.status = 400;
+                        next(clientError);
+                    } else if (err) {
                         next(err);
                     } else if (!result || result.length === 0) {
                         // no results match our query, prevent loopback from returning a result
@@ -61,18 +295,28 @@ function extendedFindQuery(
                         ctx.query.where = { [idName]: -1 };
                         next();
                     } else {
-                        const resultIds = result.map(entry => entry[idName]);
                         // Removed the check for an existing id query, since the result of the
                         // database query should include the corresponding id already!
                         // Therefore we remove all the other constrains since they could lead to
                         // contradicting statements!
-                        ctx.query.where = { [idName]: { inq: resultIds } };
+                        ctx.query.where = createIdFilter(idNames, result);
+                        if (isRanked) {
+                            // the page was already selected by the database query
+                            delete ctx.query.limit;
+                            delete ctx.query.skip;
+                            delete ctx.query.offset;
+                            const rankedIds = result.map(entry => getIdKey(entry, idNames));
+                            storeRanking(ctx.options, model, rankedIds);
+                        }
                         next();
                     }
                 });
             } catch (err) {
-                if (err instanceof UnknownPropertyError) {
+                if (clientErrors.some(ErrorType => err instanceof ErrorType)) {
                     err.status = 400;
+                } else if (err instanceof MissingExtensionError) {
+                    // the filter is valid but the data source does not support the operator
+                    err.status = 501;
                 }
                 next(err);
             }
@@ -80,6 +324,124 @@ function extendedFindQuery(
     };
 }
 
+/**
+ * Wraps the access hook to inspect the schema of the model's data source (once) before the hook
+ * is invoked: the columns of the queries are resolved from the schema. If the inspection fails,
+ * the columns are resolved using the preserveColumnCase setting.
+ *
+ * @param model a loopback model
+ * @param schemaInspector the inspector providing the columns of the tables
+ * @param hook the access hook
+ * @returns {Function}
+ */
+function inspectSchema(model, schemaInspector, hook) {
+    return function(ctx, next) {
+        schemaInspector
+            .inspect(model.dataSource)
+            .catch(() => null)
+            .then(() => hook(ctx, next));
+    };
+}
+
+/**
+ * Wraps the access hook to wait for the detection of the missing extensions of the model's data
+ * source (started on boot): operators whose extension is missing are rejected by the hook. If
+ * the detection fails, the operators are not rejected.
+ *
+ * @param model a loopback model
+ * @param extensionDetector the detector storing the missing extensions
+ * @param hook the access hook
+ * @returns {Function}
+ */
+function detectExtensions(model, extensionDetector, hook) {
+    return function(ctx, next) {
+        extensionDetector
+            .detect(model.dataSource)
+            .catch(() => null)
+            .then(() => hook(ctx, next));
+    };
+}
+
+/**
+ * Resolves the relative dates (e.g. $now-30d) of a value or comparison of a date property.
+ * Invalid relative dates are kept, loopback rejects them.
+ *
+ * @param value the value or comparison, e.g. {gte: '$now-30d'}
+ * @param resolver the relative date resolver
+ * @returns {*}
+ */
+function resolveDateValue(value, resolver) {
+    if (RelativeDateResolver.isRelativeDate(value)) {
+        return resolver.resolve(value) || value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(entry => resolveDateValue(entry, resolver));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object
+            .keys(value)
+            .reduce((resolved, key) => Object.assign(resolved, {
+                [key]: resolveDateValue(value[key], resolver),
+            }), {});
+    }
+    return value;
+}
+
+/**
+ * Resolves the relative dates used for the date properties of a model in a where filter (nested
+ * in and/or groups).
+ *
+ * @param model a loopback model
+ * @param where the where filter
+ * @param resolver the relative date resolver
+ * @returns {*} a copy of the where filter containing the resolved dates
+ */
+function resolveRelativeDates(model, where, resolver) {
+    if (!where || typeof where !== 'object' || Array.isArray(where)) {
+        return where;
+    }
+    const { properties } = model.definition;
+    return Object
+        .keys(where)
+        .reduce((resolved, key) => {
+            const value = where[key];
+            const property = properties[key];
+            let resolvedValue = value;
+            if (['and', 'or'].includes(key) && Array.isArray(value)) {
+                resolvedValue = value.map(entry => resolveRelativeDates(model, entry, resolver));
+            } else if (property && ValueCoercer.getTypeName(property.type) === 'date') {
+                resolvedValue = resolveDateValue(value, resolver);
+            }
+            return Object.assign(resolved, { [key]: resolvedValue });
+        }, {});
+}
+
+/**
+ * Creates the function which is invoked before the remote methods 'find', 'findOne' and 'count':
+ * loopback coerces the values of the date properties of the queried model before the access hook
+ * is invoked and would reject relative dates, therefore they are resolved beforehand. Relative
+ * dates of related models are resolved by the SearchQueryBuilder.
+ *
+ * @param model a loopback model
+ * @param timezone the timezone relative dates are resolved in
+ * @returns {Function}
+ */
+function resolveRelativeDatesOfModel(model, timezone) {
+    return function(ctx, unused, next) {
+        const resolver = new RelativeDateResolver({ timezone });
+        const { filter, where } = ctx.args;
+        if (filter && typeof filter === 'object' && filter.where) {
+            ctx.args.filter = Object.assign({}, filter, {
+                where: resolveRelativeDates(model, filter.where, resolver),
+            });
+        }
+        if (where) {
+            ctx.args.where = resolveRelativeDates(model, where, resolver);
+        }
+        next();
+    };
+}
+
 /**
  * Gets the relationFilter settings from the models configuration (setting) and merges
  * them with the basic component settings.
@@ -93,11 +455,80 @@ function getSearchSettings(model, componentSettings = {}) {
     return Object.assign({}, componentSettings, modelSettings);
 }
 
+/**
+ * Checks the data sources for missing postgres extensions required by some of the operators
+ * (e.g. pg_trgm for similar) and emits a warning for every missing extension.
+ *
+ * @param extensionDetector the detector storing the missing extensions
+ * @param dataSources the loopback data sources of the models using the component
+ */
+function detectMissingExtensions(extensionDetector, dataSources) {
+    dataSources.forEach((dataSource) => {
+        extensionDetector
+            .detect(dataSource)
+            .then((missingExtensions) => {
+                missingExtensions.forEach((extension) => {
+                    const message = ExtensionDetector
+                        .createMissingExtensionMessage(dataSource.settings.name, extension);
+                    process.emitWarning(message, 'RelationFilterWarning');
+                });
+            })
+            .catch((err) => {
+                const message = `Could not detect the postgres extensions installed on the data source "${dataSource.settings.name}": ${err.message}`;
+                process.emitWarning(message, 'RelationFilterWarning');
+            });
+    });
+}
+
+/**
+ * Validates the tables and columns queried by the enabled models and their relations against the
+ * database schema and reports all problems at once: either as warning (mode 'warn') or by
+ * rejecting with a SchemaValidationError (mode 'fail').
+ *
+ * @param validatedModels the enabled models and their search settings
+ * @param schemaInspector the inspector providing the columns of the tables
+ * @param mode 'warn' or 'fail'
+ * @returns {Promise<Array>} the problems found
+ */
+function validateSchema(validatedModels, schemaInspector, mode) {
+    const schemaValidator = new SchemaValidator(schemaInspector);
+    return Promise
+        .all(validatedModels.map(({ model, searchConfig }) => schemaValidator
+            .validate(model, searchConfig)))
+        .then(problems => [].concat(...problems))
+        .then((problems) => {
+            if (!problems.length) {
+                return problems;
+            }
+            const message = SchemaValidator.createSchemaValidationMessage(problems);
+            if (mode === 'fail') {
+                throw new SchemaValidationError(message);
+            }
+            process.emitWarning(message, 'RelationFilterWarning');
+            return problems;
+        })
+        .catch((err) => {
+            if (mode === 'fail') {
+                throw err;
+            }
+            const message = `Could not validate the database schema: ${err.message}`;
+            process.emitWarning(message, 'RelationFilterWarning');
+            return [];
+        });
+}
+
 /**
  * Loopback component that allows filtering over related models using the where filter.
  */
 module.exports = function(loopbackApp, settings) {
 
+    const extensionDetector = new ExtensionDetector();
+    const schemaInspector = new SchemaInspector();
+    const dataSources = new Set();
+    const validatedModels = [];
+    // the schemaResolver settings by name of the model per data source
+    const schemaResolvers = new Map();
+
     Object
         .values(loopbackApp.models)
         .forEach((model) => {
@@ -105,10 +536,67 @@ module.exports = function(loopbackApp, settings) {
             const searchConfig = getSearchSettings(model, settings);
 
             if (searchConfig.enabled === true) {
-                model.observe('access', extendedFindQuery(model, loopbackApp.models, searchConfig));
+                // fail on boot for invalid timezones
+                const { timezone } = new RelativeDateResolver(searchConfig);
+                const { schemaResolver } = searchConfig;
+                if (schemaResolver && typeof schemaResolver !== 'function') {
+                    throw new InvalidValueError('Invalid schemaResolver setting, use a function returning the schema.');
+                }
+                const findQuery = detectExtensions(
+                    model,
+                    extensionDetector,
+                    inspectSchema(model, schemaInspector, extendedFindQuery(
+                        model,
+                        loopbackApp.models,
+                        extensionDetector,
+                        schemaInspector,
+                        searchConfig,
+                    )),
+                );
+                model.observe('access', findQuery);
+                ['find', 'findOne', 'count'].forEach((method) => {
+                    model.beforeRemote(method, resolveRelativeDatesOfModel(model, timezone));
+                });
+                model.afterRemote('find', orderByRanking(model));
+                if (model.dataSource) {
+                    dataSources.add(model.dataSource);
+                }
+                if (model.dataSource && schemaResolver) {
+                    if (!schemaResolvers.has(model.dataSource)) {
+                        schemaResolvers.set(model.dataSource, new Map());
+                    }
+                    schemaResolvers.get(model.dataSource).set(model.modelName, schemaResolver);
+                }
+                validatedModels.push({ model, searchConfig });
             }
 
         });
+
+    schemaResolvers.forEach((resolvers, dataSource) => {
+        if (dataSource.connector) {
+            resolveSchemasOfConnector(dataSource.connector, resolvers);
+        }
+    });
+
+    detectMissingExtensions(extensionDetector, dataSources);
+
+    const { validateSchema: validationMode = false } = settings || {};
+    if (validationMode && !['warn', 'fail'].includes(validationMode)) {
+        throw new InvalidValueError(`Invalid validateSchema setting "${validationMode}", use "warn" or "fail".`);
+    }
+    if (!validationMode) {
+        return undefined;
+    }
+    // the validation is returned to the boot (loopback-boot does not wait for components, a boot
+    // script returning the stored validation makes it wait, see the validateSchema setting)
+    const validation = validateSchema(validatedModels, schemaInspector, validationMode);
+    loopbackApp.set('relationFilterSchemaValidation', validation);
+    if (validationMode === 'fail') {
+        // a validation nobody waits for must not terminate the running app, the failure is
+        // reported as warning as well
+        validation.catch(err => process.emitWarning(err.message, 'RelationFilterWarning'));
+    }
+    return validation;
 };
 
 // Export the component specific error classes.
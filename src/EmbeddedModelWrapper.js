@@ -0,0 +1,43 @@
+const ModelWrapper = require('./ModelWrapper');
+
+// postgres types of the properties of embedded models, other types are kept as jsonb
+const recordTypes = {
+    string: 'text',
+    number: 'numeric',
+    boolean: 'boolean',
+    date: 'timestamptz',
+};
+
+/**
+ * Wraps a model embedded into the json column of its owner (embedsOne and embedsMany relations).
+ * The embedded entities are expanded into records (see SearchQueryBuilder) whose columns are named
+ * like the properties of the model, i.e. like the keys stored in the json.
+ */
+module.exports = class EmbeddedModelWrapper extends ModelWrapper {
+
+    wrapConnector(model) {
+        return model.dataSource ? model.dataSource.connector : null;
+    }
+
+    /**
+     * The keys of the json are not affected by the column case of the data source, therefore the
+     * case is always preserved.
+     */
+    getColumnName(key, { alias = this.alias } = {}) {
+        return `${alias}.${key}`;
+    }
+
+    /**
+     * Returns the columns of the record the embedded entities are expanded to.
+     *
+     * @returns {Array<{name: String, type: String}>} the names and postgres types of the columns
+     */
+    getRecordDefinition() {
+        return Object
+            .keys(this.getModelProperties())
+            .map(name => ({
+                name,
+                type: recordTypes[this.getPropertyType(name)] || 'jsonb',
+            }));
+    }
+};
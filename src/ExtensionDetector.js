@@ -0,0 +1,97 @@
+const knex = require('knex');
+
+// postgres extensions required by operators of the component
+const operatorExtensions = {
+    similar: 'pg_trgm',
+    alike: 'unaccent',
+    anlike: 'unaccent',
+    ailike: 'unaccent',
+    anilike: 'unaccent',
+};
+
+/**
+ * Detects the postgres extensions required by some of the operators (e.g. pg_trgm for similar or
+ * unaccent for ailike) which are not installed on a data source.
+ */
+module.exports = class ExtensionDetector {
+
+    constructor() {
+        this.missingExtensions = new Map();
+        // the pending (or finished) detections of every data source
+        this.detections = new Map();
+    }
+
+    /**
+     * Returns the extension required by an operator.
+     *
+     * @param {String} the operator
+     * @return {(String|null)} the name of the extension, null if none is required
+     */
+    static getRequiredExtension(operator) {
+        return operatorExtensions[operator] || null;
+    }
+
+    static getRequiredExtensions() {
+        return Array.from(new Set(Object.values(operatorExtensions)));
+    }
+
+    static getOperators(extension) {
+        return Object
+            .keys(operatorExtensions)
+            .filter(operator => operatorExtensions[operator] === extension);
+    }
+
+    /**
+     * Queries the installed extensions of a postgres data source and stores the missing ones.
+     * Every data source is checked once (invocations during the check wait for it), failed
+     * checks are retried on the next invocation. Data sources of other connectors are not checked.
+     *
+     * @param {DataSource} the loopback data source
+     * @return {Promise<Array>} the names of the missing extensions
+     */
+    detect(dataSource) {
+        const { connector } = dataSource;
+        if (!connector || connector.name !== 'postgresql') {
+            return Promise.resolve([]);
+        }
+        if (this.detections.has(dataSource)) {
+            return this.detections.get(dataSource);
+        }
+        const required = ExtensionDetector.getRequiredExtensions();
+        const sql = knex({ client: 'pg' })
+            .select('extname')
+            .from('pg_extension')
+            .whereIn('extname', required)
+            .toString();
+        const detection = new Promise((resolve, reject) => {
+            connector.execute(sql, (err, result) => {
+                if (err) {
+                    this.detections.delete(dataSource);
+                    return reject(err);
+                }
+                const installed = (result || []).map(entry => entry.extname);
+                const missing = required.filter(extension => !installed.includes(extension));
+                this.missingExtensions.set(dataSource, missing);
+                return resolve(missing);
+            });
+        });
+        this.detections.set(dataSource, detection);
+        return detection;
+    }
+
+    /**
+     * Returns the missing extensions of a data source, an empty list if the data source was not
+     * checked (yet).
+     *
+     * @param {DataSource} the loopback data source
+     * @return {Array} the names of the missing extensions
+     */
+    getMissingExtensions(dataSource) {
+        return this.missingExtensions.get(dataSource) || [];
+    }
+
+    static createMissingExtensionMessage(dataSourceName, extension) {
+        const operators = ExtensionDetector.getOperators(extension).join(', ');
+        return `The postgres extension ${extension} is not installed on the data source "${dataSourceName}", queries using the operators ${operators} will be rejected. Install it using "create extension ${extension};".`;
+    }
+};
@@ -1,9 +1,17 @@
 module.exports = class ModelWrapper {
 
-    constructor(model, alias = null) {
+    /**
+     * @param {Model} the loopback model
+     * @param {String} the alias of the model's table
+     * @param {Object} options
+     * @param {Function} options.schemaResolver returns the schema of the model's table, invoked
+     *          with the name of the model and the schema of its settings
+     */
+    constructor(model, alias = null, { schemaResolver = null } = {}) {
         this.model = model;
         this.connector = this.wrapConnector(model);
         this.alias = alias;
+        this.schemaResolver = schemaResolver;
     }
 
     wrapConnector(model) {
@@ -20,7 +28,28 @@ module.exports = class ModelWrapper {
         return this.connector.table(this.getModelName());
     }
 
+    /**
+     * Returns the schema of the model's table: the schema resolved by the schemaResolver (e.g. the
+     * schema of the tenant of a request), else the schema of the model's connector settings, else
+     * public.
+     *
+     * @returns {String}
+     */
     getSchema() {
+        const schema = this.getConfiguredSchema();
+        if (!this.schemaResolver) {
+            return schema;
+        }
+        return this.schemaResolver(this.getModelName(), schema) || schema;
+    }
+
+    /**
+     * Returns the schema of the model's connector settings (defaults to public), i.e. the schema
+     * loopback loads the entities from.
+     *
+     * @returns {String}
+     */
+    getConfiguredSchema() {
         return this.connector.schema(this.getModelName()) || 'public';
     }
 
@@ -33,10 +62,57 @@ module.exports = class ModelWrapper {
         return `${this.getFullyQualifiedTable()}${alias}`;
     }
 
-    getColumnName(key, { alias = this.alias, preserveCase = true } = {}) {
+    getColumnName(key, { alias = this.alias, preserveCase = true, schema = null } = {}) {
         const tableName = alias || this.getTable();
-        const columnName = preserveCase ? key : key.toLowerCase();
-        return `${tableName}.${columnName}`;
+        return `${tableName}.${this.getColumn(key, { preserveCase, schema })}`;
+    }
+
+    /**
+     * Returns the name of the column storing the property (without table): the column declared
+     * in the property's connector settings (e.g. {postgresql: {columnName: 'pub_date'}}), else
+     * the column of the inspected table matching the property (exactly or ignoring the case),
+     * else the property name (lowercased unless the case is preserved).
+     *
+     * @param {String} the name of the property
+     * @param {Object} options
+     * @param {Boolean} options.preserveCase false to lowercase the column name if it can neither
+     *          be resolved from the settings nor the schema
+     * @param {SchemaInspector} options.schema the inspector holding the columns of the table
+     * @returns {String}
+     */
+    getColumn(key, { preserveCase = true, schema = null } = {}) {
+        const mappedColumn = this.getMappedColumn(key);
+        if (mappedColumn) {
+            return mappedColumn;
+        }
+        const columns = schema ? schema.getColumns(this.model.dataSource, this.getTable()) : null;
+        if (columns) {
+            const candidates = [key, key.toLowerCase()];
+            const column = candidates.find(candidate => columns.has(candidate)) || Array
+                .from(columns)
+                .find(candidate => candidate.toLowerCase() === key.toLowerCase());
+            if (column) {
+                return column;
+            }
+        }
+        return preserveCase ? key : key.toLowerCase();
+    }
+
+    /**
+     * Returns the column the property is mapped to by its connector settings (e.g. {postgresql:
+     * {columnName: 'pub_date'}}). Like the connector, every declared column is used as it is,
+     * even if it only differs in case from the property name.
+     *
+     * @param {String} the name of the property
+     * @returns {(String|null)} the column, null if the property is not mapped
+     */
+    getMappedColumn(key) {
+        const property = this.getModelProperties()[key];
+        const connectorSettings = this.connector && property && property[this.getConnectorName()];
+        if (!connectorSettings) {
+            return null;
+        }
+        return connectorSettings.column || connectorSettings.columnName || null;
     }
 
     getModelName() {
@@ -51,6 +127,39 @@ module.exports = class ModelWrapper {
         return this.model.definition.properties;
     }
 
+    /**
+     * Returns the lowercased name of the type of the given property (e.g. 'string', 'geopoint'),
+     * arrays are of type 'array' and properties without type of type 'any'.
+     *
+     * @param propertyName
+     * @returns {(string|null)} null if the property does not exist
+     */
+    getPropertyType(propertyName) {
+        if (!this.isProperty(propertyName)) {
+            return null;
+        }
+        const { type } = this.getModelProperties()[propertyName];
+        if (Array.isArray(type)) {
+            return 'array';
+        }
+        if (!type) {
+            return 'any';
+        }
+        const typeName = typeof type === 'function' ? type.name : type;
+        return String(typeName).toLowerCase();
+    }
+
+    /**
+     * Returns the default scope of the model (e.g. {where: {active: true}}), null if the model has
+     * no default scope or it is defined as function.
+     *
+     * @returns {(Object|null)}
+     */
+    getDefaultScope() {
+        const { scope } = this.model.definition.settings;
+        return scope && typeof scope === 'object' ? scope : null;
+    }
+
     getModelRelations() {
         return this.model.relations || {};
     }
@@ -67,6 +176,14 @@ module.exports = class ModelWrapper {
      * referenced field (id in this case) we need to lookup the definition of the Author model and
      * get the corresponding key.
      *
+     * The referenced property (keyThrough of the relation) is resolved from:
+     *  - the reverse relation of the wrapped model (using the same through model and pointing
+     *    back to the model holding the relation with keyThrough as its keyTo), i.e. its keyFrom
+     *    (e.g. a natural key declared as primaryKey)
+     *  - the belongsTo relation of the through model storing keyThrough, i.e. its keyTo (like
+     *    loopback does when loading the related entities); the reverse relation may therefore be
+     *    missing (unidirectional relations)
+     *
      * @note: we return null in case we don't find anything so the invoking component (i.e. the
      * QueryBuilder will be able to make its own assumtions on whitch property to query (e.g. take
      * the id of the target model)
@@ -76,25 +193,60 @@ module.exports = class ModelWrapper {
      */
     getPropertyQueriedThrough(relation) {
         // ensure that the relation is a mapping that references the wrapped model
-        if (!!relation.modelThrough ||
-            !!relation.modelTo ||
+        if (!relation.modelThrough ||
+            !relation.modelTo ||
             relation.modelTo.modelName !== this.model.modelName) {
             return null;
-        } else {
-            const reverseRelation = Object
-                .values(this.getModelRelations())
-                .find(rel =>
-                    // check if it is the same through model and if it references the correct entity
-                    rel.modelThrough.modelName === relation.modelThrough.modelName
-                        && rel.modelTo.modelName === relation.modelFrom.modelName);
-            // if there is no reverse relation, the relation to this model is unidirectional
-            // and we are not able to determine the referenced field
-            if (reverseRelation) {
-                return reverseRelation.keyFrom;
-            } else {
-                return null;
-            }
         }
+        const { modelThrough, modelFrom, keyThrough } = relation;
+        const reverseRelation = Object
+            .values(this.getModelRelations())
+            .find(rel =>
+                // check if it is the same through model and if it references the correct entity
+                !!rel.modelThrough
+                    && rel.modelThrough.modelName === modelThrough.modelName
+                    && !!rel.modelTo
+                    && rel.modelTo.modelName === modelFrom.modelName
+                    && rel.keyTo === keyThrough);
+        if (reverseRelation) {
+            return reverseRelation.keyFrom;
+        }
+        const throughRelation = Object
+            .values(modelThrough.relations || {})
+            .find(rel => rel.type === 'belongsTo'
+                && rel.keyFrom === keyThrough
+                && !!rel.modelTo
+                && rel.modelTo.modelName === this.model.modelName);
+        // if there is neither, the referenced property can not be determined
+        return throughRelation ? throughRelation.keyTo : null;
+    }
+
+    /**
+     * Returns the pairs of properties a relation of the wrapped model is joined on: the keys join
+     * the wrapped model with the related model (or the through model), the keysThrough join the
+     * through model with the related model. Loopback relations have a single key pair, composite
+     * keys are declared in the options of the relation, e.g.
+     * {relationFilter: {keys: {bookId: 'bookId', language: 'language'}}} (keysThrough alike).
+     *
+     * @param relation the loopback relation definition
+     * @returns {{keys: Array, keysThrough: Array}} the key pairs ([keyFrom, keyTo])
+     */
+    getRelationKeys(relation) {
+        const { relationFilter = {} } = relation.options || {};
+        const keys = relationFilter.keys
+            ? Object.entries(relationFilter.keys)
+            : [[relation.keyFrom, relation.keyTo]];
+        if (!relation.modelThrough) {
+            return { keys, keysThrough: [] };
+        }
+        if (relationFilter.keysThrough) {
+            return { keys, keysThrough: Object.entries(relationFilter.keysThrough) };
+        }
+        const modelTo = ModelWrapper.fromModel(relation.modelTo);
+        const [targetModelId] = modelTo.getIdProperties({ ignoreAlias: true });
+        // do a reverse lookup of the relation to find the referenced property of the target model
+        const targetKey = modelTo.getPropertyQueriedThrough(relation) || targetModelId;
+        return { keys, keysThrough: [[relation.keyThrough, targetKey]] };
     }
 
     getQueriedRelations(where = {}) {
@@ -108,11 +260,19 @@ module.exports = class ModelWrapper {
             }, []);
     }
 
+    /**
+     * Returns the id properties of the model ordered by their index (e.g. {id: 2}), i.e. all the
+     * properties of composite ids.
+     *
+     * @param {Object} options passed to the column name resolution
+     * @param {Boolean} options.ignoreAlias true to return the names of the properties instead of
+     *          the columns
+     * @returns {Array}
+     */
     getIdProperties(options = {}) {
-        // return the ids as an array for backwards compatibility in case of compound ids
-        // (which - in general - is not supported by Loopback)
-        const idName = this.model.getIdName();
-        const ids = [idName];
+        const { definition } = this.model;
+        const idNames = typeof definition.idNames === 'function' ? definition.idNames() : [];
+        const ids = idNames.length > 1 ? idNames : [this.model.getIdName()];
         if (options.ignoreAlias === true) {
             return ids;
         }
@@ -142,10 +302,10 @@ module.exports = class ModelWrapper {
     }
 
     as(alias) {
-        return new ModelWrapper(this.model, alias);
+        return new this.constructor(this.model, alias, { schemaResolver: this.schemaResolver });
     }
 
-    static fromModel(model, alias = null) {
-        return new ModelWrapper(model, alias);
+    static fromModel(model, alias = null, options = {}) {
+        return new this(model, alias, options);
     }
 };
@@ -0,0 +1,160 @@
+const { InvalidValueError } = require('./error');
+
+// the anchors of relative dates: the current time or the start of the current day, week (monday),
+// month or year
+const anchors = [
+    'now',
+    'today',
+    'startOfWeek',
+    'startOfMonth',
+    'startOfYear',
+];
+
+// the units of the offsets of relative dates (m: minutes, M: months)
+const units = [
+    's',
+    'm',
+    'h',
+    'd',
+    'w',
+    'M',
+    'y',
+];
+
+const relativeDatePattern = new RegExp(`^\\$(\\w+)((?:[+-]\\d+[${units.join('')}])*)$`);
+const offsetPattern = new RegExp(`([+-])(\\d+)([${units.join('')}])`, 'g');
+
+/**
+ * Resolves relative dates like $now-30d, $today or $startOfMonth+1M to dates. Anchors and
+ * offsets are applied to the wall time in the configured timezone, e.g. $today is the start of
+ * the current day in the timezone.
+ */
+module.exports = class RelativeDateResolver {
+
+    /**
+     * @param {Object} options
+     * @param {String} options.timezone the IANA name of the timezone (e.g. Europe/Zurich),
+     *          defaults to UTC
+     */
+    constructor({ timezone = 'UTC' } = {}) {
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hour12: false,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+            });
+        } catch (err) {
+            throw new InvalidValueError(`Invalid timezone "${timezone}" for relative dates.`);
+        }
+        this.timezone = timezone;
+    }
+
+    static isRelativeDate(value) {
+        return typeof value === 'string' && value.startsWith('$');
+    }
+
+    /**
+     * Resolves a relative date.
+     *
+     * @param {String} the relative date, e.g. $now-30d
+     * @param {Date} the current time
+     * @return {(Date|null)} the date, null if the relative date is invalid
+     */
+    resolve(relativeDate, now = new Date()) {
+        const match = String(relativeDate).match(relativeDatePattern);
+        if (!match || !anchors.includes(match[1])) {
+            return null;
+        }
+        const [, anchor, offsets] = match;
+        const wallTime = this.applyAnchor(this.toWallTime(now), anchor);
+        let offset = offsetPattern.exec(offsets);
+        while (offset) {
+            const [, sign, amount, unit] = offset;
+            this.applyOffset(wallTime, Number(`${sign}${amount}`), unit);
+            offset = offsetPattern.exec(offsets);
+        }
+        return this.toDate(wallTime);
+    }
+
+    applyAnchor(wallTime, anchor) {
+        if (anchor === 'now') {
+            return wallTime;
+        }
+        wallTime.setUTCHours(0, 0, 0, 0);
+        if (anchor === 'startOfWeek') {
+            // weeks start on monday
+            wallTime.setUTCDate(wallTime.getUTCDate() - ((wallTime.getUTCDay() + 6) % 7));
+        }
+        if (anchor === 'startOfMonth') {
+            wallTime.setUTCDate(1);
+        }
+        if (anchor === 'startOfYear') {
+            wallTime.setUTCMonth(0, 1);
+        }
+        return wallTime;
+    }
+
+    applyOffset(wallTime, amount, unit) {
+        switch (unit) {
+            case 's':
+                return wallTime.setUTCSeconds(wallTime.getUTCSeconds() + amount);
+            case 'm':
+                return wallTime.setUTCMinutes(wallTime.getUTCMinutes() + amount);
+            case 'h':
+                return wallTime.setUTCHours(wallTime.getUTCHours() + amount);
+            case 'd':
+                return wallTime.setUTCDate(wallTime.getUTCDate() + amount);
+            case 'w':
+                return wallTime.setUTCDate(wallTime.getUTCDate() + (amount * 7));
+            case 'M':
+                return wallTime.setUTCMonth(wallTime.getUTCMonth() + amount);
+            default:
+                return wallTime.setUTCFullYear(wallTime.getUTCFullYear() + amount);
+        }
+    }
+
+    /**
+     * Returns the wall time of the date in the timezone as a date whose UTC fields correspond to
+     * the fields of the wall time.
+     *
+     * @param {Date} the date
+     * @return {Date} the wall time
+     */
+    toWallTime(date) {
+        const fields = this.formatter
+            .formatToParts(date)
+            .reduce((parts, { type, value }) => Object.assign(parts, {
+                [type]: Number(value),
+            }), {});
+        return new Date(Date.UTC(
+            fields.year,
+            fields.month - 1,
+            fields.day,
+            // some implementations format midnight as 24
+            fields.hour % 24,
+            fields.minute,
+            fields.second,
+            date.getUTCMilliseconds(),
+        ));
+    }
+
+    /**
+     * Converts a wall time in the timezone back to a date.
+     *
+     * @param {Date} the wall time (see toWallTime)
+     * @return {Date} the date
+     */
+    toDate(wallTime) {
+        const time = wallTime.getTime();
+        // the offset of the timezone at the wall time, corrected once for daylight saving time
+        const offset = this.toWallTime(wallTime).getTime() - time;
+        const guess = time - offset;
+        const correctedOffset = this.toWallTime(new Date(guess)).getTime() - guess;
+        return new Date(time - correctedOffset);
+    }
+};
@@ -0,0 +1,120 @@
+const knex = require('knex');
+
+/**
+ * Inspects the tables and columns of postgres data sources (using the information_schema) and
+ * caches them, e.g. to resolve the actual column of a property (see ModelWrapper.getColumn) or
+ * to validate the schema (see SchemaValidator).
+ */
+module.exports = class SchemaInspector {
+
+    constructor() {
+        // the pending inspections of every data source by schema (null for all schemas)
+        this.inspections = new Map();
+        // the columns (Set) of the inspected tables (schema.table) of every data source
+        this.tables = new Map();
+        // the inspected schemas of every data source
+        this.schemas = new Map();
+    }
+
+    /**
+     * Queries the columns of all tables of a postgres data source and stores them. Every data
+     * source is inspected once, failed inspections are retried on the next invocation. Data
+     * sources of other connectors are not inspected.
+     *
+     * @param {DataSource} the loopback data source
+     * @return {Promise<Map>} the names of the columns (Set) by table (schema.table)
+     */
+    inspect(dataSource) {
+        return this.queryColumns(dataSource, null);
+    }
+
+    /**
+     * Queries the columns of the tables of a single schema, e.g. of a schema created after the
+     * data source was inspected (like the schema of a new tenant). Schemas without tables (e.g.
+     * not created yet) are inspected again on the next invocation.
+     *
+     * @param {DataSource} the loopback data source
+     * @param {String} the name of the schema
+     * @return {Promise<Map>} the names of the columns (Set) by table (schema.table)
+     */
+    inspectSchema(dataSource, schema) {
+        return this.queryColumns(dataSource, schema);
+    }
+
+    queryColumns(dataSource, schema) {
+        const { connector } = dataSource || {};
+        if (!connector || connector.name !== 'postgresql') {
+            return Promise.resolve(new Map());
+        }
+        if (!this.inspections.has(dataSource)) {
+            this.inspections.set(dataSource, new Map());
+        }
+        const inspections = this.inspections.get(dataSource);
+        if (!inspections.has(schema)) {
+            const query = knex({ client: 'pg' })
+                .select('table_schema', 'table_name', 'column_name')
+                .from('information_schema.columns');
+            if (schema) {
+                query.where('table_schema', schema);
+            } else {
+                query.whereNotIn('table_schema', ['pg_catalog', 'information_schema']);
+            }
+            const { sql, bindings } = query.toSQL().toNative();
+            const inspection = new Promise((resolve, reject) => {
+                connector.execute(sql, bindings, (err, result) => {
+                    if (err || (schema && !(result || []).length)) {
+                        inspections.delete(schema);
+                    }
+                    if (err) {
+                        return reject(err);
+                    }
+                    return resolve(this.addColumns(dataSource, result || []));
+                });
+            });
+            inspections.set(schema, inspection);
+        }
+        return inspections.get(schema);
+    }
+
+    addColumns(dataSource, entries) {
+        if (!this.tables.has(dataSource)) {
+            this.tables.set(dataSource, new Map());
+            this.schemas.set(dataSource, new Set());
+        }
+        const tables = this.tables.get(dataSource);
+        entries.forEach((entry) => {
+            const table = `${entry.table_schema}.${entry.table_name}`;
+            if (!tables.has(table)) {
+                tables.set(table, new Set());
+            }
+            tables.get(table).add(entry.column_name);
+            this.schemas.get(dataSource).add(entry.table_schema);
+        });
+        return tables;
+    }
+
+    /**
+     * Returns the columns of a table of an inspected data source.
+     *
+     * @param {DataSource} the loopback data source
+     * @param {String} the table (schema.table)
+     * @return {(Set|null)} the names of the columns, null if the table does not exist or the data
+     *          source was not inspected (yet)
+     */
+    getColumns(dataSource, table) {
+        const tables = this.tables.get(dataSource);
+        return (tables && tables.get(table)) || null;
+    }
+
+    /**
+     * @param {DataSource} the loopback data source
+     * @param {String} the name of a schema, null to check whether the data source was inspected
+     * @return {Boolean} true if the tables of the schema were inspected
+     */
+    isInspected(dataSource, schema = null) {
+        if (!schema) {
+            return this.tables.has(dataSource);
+        }
+        return this.schemas.has(dataSource) && this.schemas.get(dataSource).has(schema);
+    }
+};
@@ -0,0 +1,162 @@
+const ModelWrapper = require('./ModelWrapper');
+const SchemaInspector = require('./SchemaInspector');
+
+/**
+ * Validates the tables, columns and keys the relation filter of a model queries (the model's own
+ * table, the tables of the related and through models and the columns of all properties which
+ * can be filtered, including mapped columns) against the information_schema of its
+ * postgres data source. Typos in foreign keys or stale columns are therefore detected on boot
+ * instead of failing the queries of the clients.
+ */
+module.exports = class SchemaValidator {
+
+    /**
+     * @param {SchemaInspector} the inspector providing the tables and columns of the data sources
+     */
+    constructor(schema = new SchemaInspector()) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validates the table of a model and the tables and columns used by its relations. Models of
+     * other connectors than postgres are not checked.
+     *
+     * @param {Model} the loopback model
+     * @param {Object} options
+     * @param {Boolean} options.preserveColumnCase false if the columns are lowercased
+     * @return {Promise<Array>} the messages describing the problems found
+     */
+    async validate(model, { preserveColumnCase = true } = {}) {
+        const wrappedModel = ModelWrapper.fromModel(model);
+        if (!SchemaValidator.isPostgres(wrappedModel)) {
+            return [];
+        }
+        const checks = Object
+            .values(wrappedModel.getModelRelations())
+            .reduce((relationChecks, relation) => relationChecks.concat(this
+                .getRelationColumns(wrappedModel, relation)
+                .map(columns => Object.assign({ relation }, columns))), [{
+                model: wrappedModel,
+                properties: SchemaValidator.getFilteredProperties(wrappedModel),
+            }]);
+
+        const problems = await Promise.all(checks.map(async(check) => {
+            const { relation, model: wrapper, properties } = check;
+            const problem = SchemaValidator.isPostgres(wrapper)
+                ? await this.checkColumns(wrapper, properties, { preserveColumnCase })
+                : `the model ${wrapper.getName()} is not stored in a postgres database`;
+            if (problem && relation) {
+                return `${wrappedModel.getName()}.${relation.name}: ${problem}`;
+            }
+            return problem && `${wrappedModel.getName()}: ${problem}`;
+        }));
+        // the same table may be checked by several relations
+        return Array.from(new Set(problems.filter(problem => problem)));
+    }
+
+    /**
+     * Returns the models and the properties whose columns are queried by a relation, i.e. the
+     * keys of the relation, the discriminator of polymorphic relations, the json or array
+     * columns storing embedded or referenced entities and the properties of the related model.
+     *
+     * @param {ModelWrapper} the wrapped model holding the relation
+     * @param {RelationDefinition} the loopback relation definition
+     * @return {Array<{model: ModelWrapper, properties: Array}>}
+     */
+    getRelationColumns(rootModel, relation) {
+        const { polymorphic } = relation;
+        const { keys, keysThrough } = rootModel.getRelationKeys(relation);
+        const rootProperties = keys.map(([keyFrom]) => keyFrom);
+        if (polymorphic && relation.type === 'belongsTo') {
+            rootProperties.push(polymorphic.discriminator);
+        }
+        const columns = [{ model: rootModel, properties: rootProperties }];
+        // embedded entities are stored in the root model's json column, polymorphic belongsTo
+        // relations have no fixed target model
+        if (relation.embed || !relation.modelTo) {
+            return columns;
+        }
+
+        const modelTo = ModelWrapper.fromModel(relation.modelTo);
+        if (!relation.modelThrough) {
+            const properties = keys
+                .map(([, keyTo]) => keyTo)
+                .concat(SchemaValidator.getFilteredProperties(modelTo));
+            if (polymorphic && relation.type !== 'belongsTo') {
+                properties.push(polymorphic.discriminator);
+            }
+            return columns.concat({ model: modelTo, properties });
+        }
+
+        const modelThrough = ModelWrapper.fromModel(relation.modelThrough);
+        const throughProperties = keys
+            .map(([, keyTo]) => keyTo)
+            .concat(keysThrough.map(([keyThrough]) => keyThrough));
+        if (polymorphic) {
+            throughProperties.push(polymorphic.discriminator);
+        }
+        return columns.concat(
+            { model: modelThrough, properties: throughProperties },
+            {
+                model: modelTo,
+                properties: keysThrough
+                    .map(([, targetKey]) => targetKey)
+                    .concat(SchemaValidator.getFilteredProperties(modelTo)),
+            },
+        );
+    }
+
+    /**
+     * Checks whether the table of a model and the columns of the passed properties exist.
+     *
+     * @param {ModelWrapper} the wrapped model
+     * @param {Array} the names of the properties
+     * @param {Object} options
+     * @param {Boolean} options.preserveColumnCase false if columns missing in the schema are
+     *          lowercased
+     * @return {Promise<(String|null)>} the message describing the problem, null if there is none
+     */
+    async checkColumns(model, properties, { preserveColumnCase = true } = {}) {
+        const { dataSource } = model.model;
+        await this.schema.inspect(dataSource);
+        const table = model.getTable();
+        const columns = this.schema.getColumns(dataSource, table);
+        if (!columns) {
+            return `the table ${table} of the model ${model.getName()} does not exist`;
+        }
+        const missingColumns = Array
+            .from(new Set(properties.filter(property => property)))
+            // the columns are resolved like when building the queries
+            .map(property => model.getColumn(property, {
+                preserveCase: preserveColumnCase,
+                schema: this.schema,
+            }))
+            .filter(column => !columns.has(column));
+        if (!missingColumns.length) {
+            return null;
+        }
+        const columnList = missingColumns.join(', ');
+        return `the table ${table} of the model ${model.getName()} has no column(s) ${columnList}`;
+    }
+
+    /**
+     * Returns the properties of a model which can be filtered, i.e. its ids and all its
+     * properties.
+     *
+     * @param {ModelWrapper} the wrapped model
+     * @return {Array} the names of the properties
+     */
+    static getFilteredProperties(model) {
+        return model
+            .getIdProperties({ ignoreAlias: true })
+            .concat(Object.keys(model.getModelProperties()));
+    }
+
+    static isPostgres(model) {
+        return !!model.connector && model.getConnectorName() === 'postgresql';
+    }
+
+    static createSchemaValidationMessage(problems) {
+        return `The relation filter found ${problems.length} problem(s) in the database schema:\n  - ${problems.join('\n  - ')}`;
+    }
+};
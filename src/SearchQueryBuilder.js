@@ -1,19 +1,80 @@
 const knex = require('knex');
 
+const EmbeddedModelWrapper = require('./EmbeddedModelWrapper');
 const ModelWrapper = require('./ModelWrapper');
 const TableAliasProvider = require('./TableAliasProvider');
 const SearchQueryNormalizer = require('./SearchQueryNormalizer');
 
-const { UnknownOperatorError } = require('./error');
+const {
+    InvalidValueError,
+    UnknownOperatorError,
+} = require('./error');
+
+// maps the aggregates of a relation query to the corresponding knex methods
+const aggregateFunctions = {
+    $count: 'count',
+    $sum: 'sum',
+    $avg: 'avg',
+    $min: 'min',
+    $max: 'max',
+};
+
+// the earth's radius in the units supported by the near operator (taken from loopback's GeoPoint)
+const earthRadius = {
+    miles: 3958.75,
+    kilometers: 6370.99056,
+    meters: 6370990.56,
+    feet: 20902200,
+    radians: 1,
+    degrees: 57.29577951308,
+};
+
+// operators ranking the result if the filter does not define an order: near queries are ordered
+// by distance (nearest first), similar queries by similarity (most similar first); for related
+// models, the aggregate selects the best ranked related entity
+const rankingOperators = {
+    near: { aggregate: 'min', direction: 'asc' },
+    similar: { aggregate: 'max', direction: 'desc' },
+};
+
+// maps the array operators to the corresponding postgres operators
+const arrayOperators = {
+    contains: '@>',
+    containedBy: '<@',
+    overlaps: '&&',
+};
+
+// the json types (see jsonb_typeof) of the values cast when comparing nested paths of json
+const jsonValueTypes = {
+    numeric: 'number',
+    boolean: 'boolean',
+};
+
+// operators whose numeric strings are compared as numbers on nested paths of json properties
+const rangeOperators = ['lt', 'lte', 'gt', 'gte', 'between'];
+const numericPattern = /^-?\d+(\.\d+)?$/;
 
 /**
  * @type {module.SearchQueryBuilder}
  */
 module.exports = class SearchQueryBuilder {
 
-    constructor(models, { rejectUnknownProperties = false, preserveColumnCase = true } = {}) {
+    constructor(models, {
+        rejectUnknownProperties = false,
+        preserveColumnCase = true,
+        searchFields = [],
+        missingExtensions = [],
+        timezone = 'UTC',
+        schema = null,
+        schemaResolver = null,
+    } = {}) {
         this.models = models;
         this.preserveColumnCase = preserveColumnCase;
+        this.schema = schema;
+        this.schemaResolver = schemaResolver;
+        // the schemas resolved per model, the resolver is invoked once per model and builder
+        this.resolvedSchemas = new Map();
+        this.searchFields = searchFields;
         this._supportedClients = {
             postgresql: 'pg',
         };
@@ -31,14 +92,87 @@ module.exports = class SearchQueryBuilder {
             'inq',
             'nin',
             'between',
+            'regexp',
+            'near',
+            'contains',
+            'containedBy',
+            'overlaps',
+            'match',
+            'similar',
+            'alike',
+            'anlike',
+            'ailike',
+            'anilike',
         ];
         const options = {
             supportedOperators: this.supportedOperators,
             rejectUnknownProperties,
+            missingExtensions,
+            timezone,
         };
         this.normalizer = new SearchQueryNormalizer(models, options);
     }
 
+    /**
+     * Returns the options passed to the column name resolution of the wrapped models: the
+     * columns are resolved from the inspected schema if available, preserveColumnCase is the
+     * fallback for columns which are not found.
+     *
+     * @param {Object} additional options
+     *
+     * @return {Object} the options
+     */
+    getColumnOptions(options = {}) {
+        return Object.assign({
+            preserveCase: this.preserveColumnCase,
+            schema: this.schema,
+        }, options);
+    }
+
+    /**
+     * Returns the schema of a model's table as returned by the schemaResolver option (e.g. the
+     * schema of the tenant of the request), the tables of the models may be stored in different
+     * schemas.
+     *
+     * @param {String} the name of the model
+     * @param {String} the schema of the model's settings (defaults to public)
+     *
+     * @return {String} the schema, the schema of the settings if the resolver returns none
+     */
+    resolveSchema(modelName, schema) {
+        if (!this.schemaResolver) {
+            return schema;
+        }
+        if (!this.resolvedSchemas.has(modelName)) {
+            this.resolvedSchemas.set(modelName, this.schemaResolver(modelName, schema) || schema);
+        }
+        return this.resolvedSchemas.get(modelName);
+    }
+
+    /**
+     * Returns the schemas resolved by the schemaResolver option while building the queries.
+     *
+     * @return {Array} the names of the schemas
+     */
+    getResolvedSchemas() {
+        return Array.from(new Set(this.resolvedSchemas.values()));
+    }
+
+    /**
+     * Wraps a model, the table of the wrapped model is located in the resolved schema.
+     *
+     * @param {Model} the loopback model
+     * @param {String} the alias of the model's table
+     * @param {Function} the class of the wrapper
+     *
+     * @return {ModelWrapper} the wrapped model
+     */
+    wrapModel(model, alias = null, Wrapper = ModelWrapper) {
+        return Wrapper.fromModel(model, alias, {
+            schemaResolver: (modelName, schema) => this.resolveSchema(modelName, schema),
+        });
+    }
+
     getQueryBuilder(wrappedModel) {
         const client = this.getClientName(wrappedModel);
         return knex({ client });
@@ -50,62 +184,207 @@ module.exports = class SearchQueryBuilder {
     }
 
     queryRelationsAndProperties(builder, rootModel, aliasProvider, query) {
-
-        const joinAliasProvider = aliasProvider.spawnProvider();
-        const filterAliasProvider = aliasProvider.spawnProvider();
-        // 1. iterate the query and collect all joins
-        const joins = this.getAllJoins(rootModel, query, joinAliasProvider);
-        joins.forEach(({ table, keyFrom, keyTo }) => {
-            builder.join(table, { [keyFrom]: keyTo });
-        });
-        // 2. iterate the query and apply all filters (we need to keep track of the aliases the
-        // same way we did before in the joins).
-        return this.applyFilters(builder, rootModel, query, filterAliasProvider);
+        // Every relation in the query is compiled to its own correlated subquery, therefore the
+        // root query never joins any table and all filters can be applied in a single pass.
+        return this.applyFilters(builder, rootModel, query, aliasProvider);
     }
 
+    /**
+     * Applies a normalized query of the form {and, or} to the builder. Both collections are
+     * wrapped in their own group and the groups are combined using `and` which corresponds to
+     * the semantics of loopback's where filter.
+     *
+     * @param {KnexQueryBuilder} the knex query builder
+     * @param {ModelWrapper} the wrapped model the query is applied to
+     * @param {Object} the normalized query
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
     applyFilters(builder, rootModel, { and = [], or = [] }, aliasProvider) {
-        // Store the relations encountered on the current level to prevent the builder from
-        // joining the same table multiple times.
-        const relations = {};
-        // Iterate depth-first and create all aliases!
-        builder.andWhere((subBuilder) => {
-            const options = { preserveCase: this.preserveColumnCase, isOr: false };
-            this._handleFilters(and, subBuilder.and, rootModel, aliasProvider, relations, options);
-        });
+        if (and.length) {
+            builder.where((subBuilder) => {
+                const options = this.getColumnOptions({ isOr: false });
+                this._handleFilters(and, subBuilder, rootModel, aliasProvider, options);
+            });
+        }
 
-        builder.orWhere((subBuilder) => {
-            const options = { preserveCase: this.preserveColumnCase, isOr: true };
-            this._handleFilters(or, subBuilder.or, rootModel, aliasProvider, relations, options);
-        });
+        if (or.length) {
+            builder.where((subBuilder) => {
+                const options = this.getColumnOptions({ isOr: true });
+                this._handleFilters(or, subBuilder, rootModel, aliasProvider, options);
+            });
+        }
 
         return builder;
     }
 
-    _handleFilters(filters, builder, rootModel, aliasProvider, relations, opts) {
+    _handleFilters(filters, builder, rootModel, aliasProvider, opts) {
         this._forEachQuery(filters, (propertyName, query) => {
-            // Since we proceed the filters recursively (depth-first) we need to restore the state
-            // of the query builder every time we enter a new branch.
+            // The or flag of knex is reset after every statement, so it has to be restored for
+            // every filter we apply.
             const subQueryBuilder = opts.isOr ? builder.or : builder.and;
+            if (propertyName === 'and' || propertyName === 'or') {
+                const groupOptions = Object.assign({}, opts, { isOr: propertyName === 'or' });
+                subQueryBuilder.where((groupBuilder) => {
+                    this._handleFilters(
+                        query,
+                        groupBuilder,
+                        rootModel,
+                        aliasProvider,
+                        groupOptions,
+                    );
+                });
+            }
+            if (propertyName === 'not') {
+                this.applyNegatedFilters(subQueryBuilder, rootModel, query, aliasProvider);
+            }
             if (rootModel.isRelation(propertyName)) {
-                const { modelTo } = this._trackAliases(
+                this.applyRelationFilter(
+                    subQueryBuilder,
                     rootModel,
                     propertyName,
+                    query,
                     aliasProvider,
-                    relations,
                     opts,
                 );
-                this.applyFilters(subQueryBuilder, modelTo, query, aliasProvider);
             }
             if (rootModel.isProperty(propertyName)) {
-                const propertyFilter = {
-                    property: rootModel.getColumnName(propertyName, opts),
-                    value: query,
-                };
-                this.applyPropertyFilter(propertyFilter, subQueryBuilder);
+                const propertyFilter = this.createPropertyFilter(
+                    builder.client,
+                    rootModel,
+                    propertyName,
+                    query,
+                    opts,
+                );
+                if (this.hasReference(query)) {
+                    this.applyReferenceFilter(
+                        subQueryBuilder,
+                        rootModel,
+                        propertyFilter,
+                        aliasProvider,
+                        opts,
+                    );
+                } else {
+                    this.applyPropertyFilter(propertyFilter, subQueryBuilder);
+                }
             }
         });
     }
 
+    /**
+     * Creates the filter passed to applyPropertyFilter: resolves the column of the property or,
+     * for nested paths of json properties, the expression accessing the path. Properties stored
+     * in native postgres arrays additionally provide the type of the array.
+     *
+     * @param {KnexClient} the knex client
+     * @param {ModelWrapper} the wrapped model holding the property
+     * @param {String} the name of the property
+     * @param {Object} the normalized comparison
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {{property: (String|KnexRaw), value: Object, arrayType: (String|undefined)}}
+     */
+    createPropertyFilter(client, model, propertyName, value, opts) {
+        const column = model.getColumnName(propertyName, opts);
+        if (value.$path) {
+            const comparison = this._coerceJsonComparison(value);
+            return {
+                property: this.createJsonPathExpression(
+                    client,
+                    model,
+                    propertyName,
+                    column,
+                    comparison,
+                ),
+                value: comparison,
+            };
+        }
+
+        // array operators compare native arrays (declared as postgres array types) as arrays
+        const { postgresql = {} } = model.getModelProperties()[propertyName];
+        const dataType = String(postgresql.dataType).toLowerCase();
+        if (dataType.endsWith('[]')) {
+            return { property: column, value, arrayType: dataType };
+        }
+        return { property: column, value };
+    }
+
+    hasReference(comparison) {
+        return Object
+            .keys(comparison)
+            .some(operator => comparison[operator] !== null
+                && typeof comparison[operator] === 'object'
+                && Object.prototype.hasOwnProperty.call(comparison[operator], '$ref'));
+    }
+
+    /**
+     * Compares the property with the property referenced by the comparison's value (e.g.
+     * {gt: {$ref: {path: ['mainAuthor'], property: 'deathDate'}}}). References to properties of
+     * the same model are compiled to a column to column comparison. References to properties of
+     * related models are compiled to `exists` clauses (tracked like relation queries), the
+     * comparison therefore matches if at least one related entity satisfies it.
+     *
+     * @param {KnexQueryBuilder} the knex query builder
+     * @param {ModelWrapper} the wrapped model the reference is resolved from
+     * @param {Object} the property filter (see createPropertyFilter)
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyReferenceFilter(builder, model, { property, value }, aliasProvider, opts) {
+        const operator = Object.keys(value).find(key => value[key] && value[key].$ref);
+        const { path, property: referencedProperty } = value[operator].$ref;
+        if (!path.length) {
+            const referencedColumn = model.getColumnName(referencedProperty, opts);
+            const comparison = { [operator]: builder.client.raw('??', [referencedColumn]) };
+            return this.applyPropertyFilter({ property, value: comparison }, builder);
+        }
+
+        const [relationName, ...remainingPath] = path;
+        const aliases = this._trackAliases(model, relationName, aliasProvider, opts);
+        const searchQueryBuilder = this;
+        const reference = { $ref: { path: remainingPath, property: referencedProperty } };
+        return builder.whereExists(function() {
+            searchQueryBuilder.createRelationSubQuery(this.select(1), aliases, opts);
+            searchQueryBuilder.applyReferenceFilter(
+                this,
+                aliases.modelTo,
+                { property, value: { [operator]: reference } },
+                aliasProvider,
+                opts,
+            );
+        });
+    }
+
+    /**
+     * Applies the negation of a normalized query of the form {and, or} to the builder. Relations
+     * within the query are compiled to (negated) `exists` clauses as well. The query is negated
+     * using `is not true` (instead of `not`) which also matches entities for which the query
+     * is null (e.g. comparisons of properties that are null).
+     *
+     * @param {KnexQueryBuilder} the knex query builder
+     * @param {ModelWrapper} the wrapped model the query is applied to
+     * @param {Object} the normalized query
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyNegatedFilters(builder, rootModel, query, aliasProvider) {
+        const { and = [], or = [] } = query;
+        // an empty query matches every entity, therefore its negation does not match any
+        if (!and.length && !or.length) {
+            return builder.whereRaw('false');
+        }
+        const conditions = builder.client.queryBuilder();
+        this.applyFilters(conditions, rootModel, query, aliasProvider);
+        // the builder has no table, its sql has the form `select * where (conditions)`
+        const { sql, bindings } = conditions.toSQL();
+        const condition = builder.client.raw(sql.replace(/^select \* where /, ''), bindings);
+        return builder.whereRaw('(?) is not true', [condition]);
+    }
+
     _forEachQuery(collection, callback) {
         collection.forEach((query) => {
             Object.keys(query).forEach((propertyName) => {
@@ -114,24 +393,201 @@ module.exports = class SearchQueryBuilder {
         });
     }
 
-    _trackAliases(rootModel, relationName, aliasProvider, seenRelations, options = {}) {
+    /**
+     * Appends an `exists` clause for the relation of the root model to the builder. The subquery
+     * is correlated with the root model's table and filters the related model by the given query.
+     *
+     * The quantifiers of a normalized query are compiled as follows:
+     *  - $every: there is no related entity which does not match the query (`not exists`)
+     *  - $none: there is no related entity which matches the query (`not exists`)
+     *  - without quantifier ($some): there is a related entity matching the query (`exists`)
+     *
+     * Aggregates ($count, $sum, $avg, $min and $max) compare the result of the corresponding
+     * aggregate function over the related entities matching their where query.
+     *
+     * @param {KnexQueryBuilder} the knex query builder
+     * @param {ModelWrapper} the wrapped model holding the relation
+     * @param {String} the name of the relation
+     * @param {Object} the normalized query for the related model
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyRelationFilter(builder, rootModel, relationName, query, aliasProvider, opts = {}) {
+        const aliases = this._trackAliases(
+            rootModel,
+            relationName,
+            aliasProvider,
+            opts,
+            query.$type,
+        );
+        const searchQueryBuilder = this;
+        const { modelTo } = aliases;
+
+        const aggregate = Object
+            .keys(aggregateFunctions)
+            .find(name => Object.prototype.hasOwnProperty.call(query, name));
+        if (aggregate) {
+            return this.applyAggregateFilter(
+                builder,
+                aliases,
+                aggregate,
+                query[aggregate],
+                aliasProvider,
+                opts,
+            );
+        }
 
-        const previousResult = seenRelations[relationName];
+        if (Object.prototype.hasOwnProperty.call(query, '$every')) {
+            return builder.whereNotExists(function() {
+                searchQueryBuilder.createRelationSubQuery(this.select(1), aliases, opts);
+                searchQueryBuilder.applyNegatedFilters(this, modelTo, query.$every, aliasProvider);
+            });
+        }
 
-        if (previousResult) {
-            return previousResult;
+        if (Object.prototype.hasOwnProperty.call(query, '$none')) {
+            return builder.whereNotExists(function() {
+                searchQueryBuilder.createRelationSubQuery(this.select(1), aliases, opts);
+                searchQueryBuilder.applyFilters(this, modelTo, query.$none, aliasProvider);
+            });
         }
 
+        return builder.whereExists(function() {
+            searchQueryBuilder.createRelationSubQuery(this.select(1), aliases, opts);
+            searchQueryBuilder.applyFilters(this, modelTo, query, aliasProvider);
+        });
+    }
+
+    /**
+     * Compares the result of the aggregate function over the related entities matching the where
+     * query of the aggregate with the value of the aggregate's operator
+     * (e.g. {property: 'number', where: {...}, gt: 10}). The sum over no related entities is 0,
+     * the other aggregates (except the count) are null and therefore never match.
+     *
+     * @param {KnexQueryBuilder} the knex query builder
+     * @param {Object} the aliases resolved by _trackAliases
+     * @param {String} the name of the aggregate (e.g. $count)
+     * @param {Object} the normalized aggregate query
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyAggregateFilter(builder, aliases, aggregate, query, aliasProvider, opts) {
+        const { modelTo } = aliases;
+        const aggregateFunction = aggregateFunctions[aggregate];
+        const column = query.property ? modelTo.getColumnName(query.property, opts) : '*';
+
+        const aggregateQuery = builder.client.queryBuilder();
+        if (aggregate === '$sum') {
+            // the sum over no related entities is 0 (instead of null)
+            aggregateQuery.select(builder.client.raw('coalesce(sum(??), 0)', [column]));
+        } else {
+            aggregateQuery[aggregateFunction](column);
+        }
+        this.createRelationSubQuery(aggregateQuery, aliases, opts);
+        this.applyFilters(aggregateQuery, modelTo, query.where, aliasProvider);
+        // wrap the subquery to use it in place of a column
+        const property = builder.client.raw('?', [aggregateQuery]);
+        return this.applyPropertyFilter({ property, value: query }, builder);
+    }
+
+    /**
+     * Restricts the given (sub) builder to the related entities by correlating them with the
+     * entity of the outer query. The columns to select are left to the invoking method.
+     *
+     * @param {KnexQueryBuilder} the knex query builder of the subquery
+     * @param {Object} the aliases resolved by _trackAliases
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    createRelationSubQuery(builder, aliases, opts) {
+        this._selectRelated(builder, aliases, opts);
+        // polymorphic relations are restricted to the entities of the discriminated model
+        if (aliases.discriminator) {
+            const { column, value } = aliases.discriminator;
+            builder.where(column, value);
+        }
+        if (aliases.scope) {
+            this.applyFilters(builder, aliases.modelTo, aliases.scope, aliases.aliasProvider);
+        }
+        return builder;
+    }
+
+    _selectRelated(builder, aliases, opts) {
+        if (aliases.relation.embed) {
+            return this._selectEmbedded(builder, aliases);
+        }
+        if (aliases.relation.type === 'referencesMany') {
+            return this._joinReferences(builder, aliases, opts);
+        }
+        // its kind of a reference (not a mapping)
+        if (!aliases.modelThrough) {
+            const { table, keys } = this._joinReference(aliases, opts);
+            return this._correlate(builder.from(table), keys);
+        }
+        // the mapping table is correlated with the outer query, the target table is joined
+        const [mapping, target] = this._joinMapping(aliases, opts);
+        const joinCondition = target.keys
+            .reduce((condition, { keyFrom, keyTo }) => Object.assign(condition, {
+                [keyFrom]: keyTo,
+            }), {});
+        builder
+            .from(mapping.table)
+            .join(target.table, joinCondition);
+        return this._correlate(builder, mapping.keys);
+    }
+
+    /**
+     * Correlates the subquery with the outer query by comparing every pair of keys (multiple
+     * pairs for composite keys).
+     *
+     * @param {KnexQueryBuilder} the knex query builder of the subquery
+     * @param {Array<{keyFrom: String, keyTo: String}>} the columns of the outer and the subquery
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    _correlate(builder, keys) {
+        keys.forEach(({ keyFrom, keyTo }) => builder.whereRaw('?? = ??', [keyTo, keyFrom]));
+        return builder;
+    }
+
+    /**
+     * Resolves the aliased models, tables and keys used to query a relation of the root model.
+     *
+     * @param {ModelWrapper} the wrapped model holding the relation
+     * @param {String} the name of the relation
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     * @param {Object} options passed to the column name resolution
+     * @param {String} the name of the queried model of polymorphic belongsTo relations ($type)
+     *
+     * @return {Object} the aliases
+     */
+    _trackAliases(rootModel, relationName, aliasProvider, options = {}, targetModelName = null) {
         const relation = rootModel.getRelation(relationName);
         const throughModel = relation.modelThrough;
 
         const modelToAlias = this.createAlias(aliasProvider, rootModel.getName(), relation);
-        const modelTo = ModelWrapper.fromModel(relation.modelTo, modelToAlias);
-        const table = modelTo.getAliasedTable();
         const keyFrom = rootModel.getColumnName(relation.keyFrom, options);
 
+        // embedded models are stored in the json column of the root model (keyFrom)
+        if (relation.embed) {
+            return {
+                keyFrom,
+                modelTo: this.wrapModel(relation.modelTo, modelToAlias, EmbeddedModelWrapper),
+                relation,
+            };
+        }
+
+        // polymorphic belongsTo relations have no fixed target model
+        const targetModel = relation.modelTo || this.models[targetModelName];
+        const modelTo = this.wrapModel(targetModel, modelToAlias);
+        const table = modelTo.getAliasedTable();
         const aliases = {
             keyFrom,
+            modelFrom: rootModel,
             modelTo,
             relation,
             table,
@@ -144,98 +600,156 @@ module.exports = class SearchQueryBuilder {
                 relation,
                 true,
             );
-            aliases.modelThrough = ModelWrapper.fromModel(throughModel, throughAlias);
+            aliases.modelThrough = this.wrapModel(throughModel, throughAlias);
         }
 
-        // eslint-disable-next-line no-param-reassign
-        seenRelations[relationName] = aliases;
+        if (relation.polymorphic) {
+            aliases.discriminator = this._getDiscriminator(rootModel, aliases, options);
+        }
+
+        const scope = this._getRelationScope(relation, modelTo);
+        if (scope) {
+            Object.assign(aliases, { scope, aliasProvider });
+        }
 
         return aliases;
     }
 
     /**
-     * Iterates over the normalized query and collects all necessary joins by creating according
-     * aliases.
+     * Returns the normalized query every related entity has to match: the where queries of the
+     * relation's scope and of the target model's default scope (like loopback does when loading
+     * the related entities). Scopes defined as functions are ignored. Relations opt out using the
+     * option {relationFilter: {applyScopes: false}}.
      *
-     * @param rootModel
-     * @param and
-     * @param or
-     * @param aliasProvider
-     * @return {*}
+     * @param {RelationDefinition} the loopback relation definition
+     * @param {ModelWrapper} the wrapped target model of the relation
+     *
+     * @return {(Object|null)} the normalized query, null if there is no scope to apply
      */
-    getAllJoins(rootModel, { and = [], or = [] }, aliasProvider) {
-        const filters = and.concat(or);
-        const children = [];
-        const relations = {};
-        const joins = [];
-        const opts = { preserveCase: this.preserveColumnCase };
+    _getRelationScope(relation, modelTo) {
+        const { relationFilter = {} } = relation.options || {};
+        if (relationFilter.applyScopes === false) {
+            return null;
+        }
+        const wheres = [relation.scope, modelTo.getDefaultScope()]
+            .filter(scope => scope && typeof scope === 'object' && scope.where)
+            .map(scope => scope.where);
+        if (!wheres.length) {
+            return null;
+        }
+        return this.normalizer.normalizeQuery(modelTo.getName(), { and: wheres });
+    }
 
-        this._forEachQuery(filters, (propertyName, query) => {
-            // The result found for the join (gathered by _trackAliases) is stored on the
-            // relations object.
-            if (rootModel.isRelation(propertyName) && !relations[propertyName]) {
-                // alias the model we are going to join
-                const aliases = this._trackAliases(
-                    rootModel,
-                    propertyName,
-                    aliasProvider,
-                    relations,
-                    opts,
-                );
-                // store the children of the current level for breadth-first traversal
-                children.push({ model: aliases.modelTo, query });
-                // its kind of a reference (not a mapping)
-                if (!aliases.modelThrough) {
-                    joins.push(this._joinReference(aliases, opts));
-                } else {
-                    joins.push(...this._joinMapping(aliases, opts));
-                }
-            }
-        });
-        // append all joins of the lower levels
-        return children.reduce((allJoins, { model, query }) => {
-            const lowerJoins = this.getAllJoins(model, query, aliasProvider);
-            allJoins.push(...lowerJoins);
-            return allJoins;
-        }, joins.slice(0));
+    /**
+     * Returns the discriminator condition of a polymorphic relation, i.e. the column storing the
+     * name of the related model and the expected value (like loopback's own scope of the
+     * relation): the column is part of the root model for belongsTo relations, of the through
+     * model or the target model otherwise.
+     *
+     * @param {ModelWrapper} the wrapped model holding the relation
+     * @param {Object} the aliases resolved by _trackAliases
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {{column: String, value: String}} the discriminator condition
+     */
+    _getDiscriminator(rootModel, { modelTo, modelThrough, relation }, options) {
+        const { discriminator, invert } = relation.polymorphic;
+        if (relation.type === 'belongsTo') {
+            return {
+                column: rootModel.getColumnName(discriminator, options),
+                value: modelTo.getName(),
+            };
+        }
+        const discriminatedModel = modelThrough || modelTo;
+        return {
+            column: discriminatedModel.getColumnName(discriminator, options),
+            value: invert ? relation.modelTo.modelName : relation.modelFrom.modelName,
+        };
     }
 
     _joinMapping({
-        keyFrom, modelTo, modelThrough, relation, table,
+        modelFrom, modelTo, modelThrough, relation, table,
     }, opts) {
-        // get the id of the target model
-        const [targetModelId] = modelTo.getIdProperties({
-            ignoreAlias: true,
-            preserveCase: this.preserveColumnCase,
-        });
-        // do a reverse lookup of the current relation and try to find out the
-        // referenced property of the target model
-        const relationTargetProperty = modelTo.getPropertyQueriedThrough(relation);
+        const { keys, keysThrough } = modelFrom.getRelationKeys(relation);
         // first join is for the mapping table, the second one joins the target
         // model's table
-        const targetKey = relationTargetProperty || targetModelId;
         return [
             {
                 table: modelThrough.getAliasedTable(),
-                keyFrom,
-                keyTo: modelThrough.getColumnName(relation.keyTo, opts),
+                keys: keys.map(([keyFrom, keyTo]) => ({
+                    keyFrom: modelFrom.getColumnName(keyFrom, opts),
+                    keyTo: modelThrough.getColumnName(keyTo, opts),
+                })),
             },
             {
                 table,
-                keyFrom: modelThrough.getColumnName(relation.keyThrough, opts),
-                keyTo: modelTo.getColumnName(targetKey, opts),
+                keys: keysThrough.map(([keyFrom, keyTo]) => ({
+                    keyFrom: modelThrough.getColumnName(keyFrom, opts),
+                    keyTo: modelTo.getColumnName(keyTo, opts),
+                })),
             },
         ];
     }
 
-    _joinReference({
-        keyFrom, modelTo, relation, table,
+    /**
+     * Selects the entities of a referencesMany relation: the ids of the related entities are
+     * stored in an array property of the root model (keyFrom), which is either a native postgres
+     * array or a json array (loopback's default).
+     *
+     * @param {KnexQueryBuilder} the knex query builder of the subquery
+     * @param {Object} the aliases resolved by _trackAliases
+     * @param {Object} options passed to the column name resolution
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    _joinReferences(builder, {
+        keyFrom, modelFrom, modelTo, relation, table,
     }, opts) {
         const keyTo = modelTo.getColumnName(relation.keyTo, opts);
+        const { postgresql = {} } = modelFrom.getModelProperties()[relation.keyFrom];
+        const isNativeArray = String(postgresql.dataType).endsWith('[]');
+        return builder
+            .from(table)
+            .whereRaw(isNativeArray ? '?? = any(??)' : '??::jsonb @> to_jsonb(??)', isNativeArray
+                ? [keyTo, keyFrom]
+                : [keyFrom, keyTo]);
+    }
+
+    /**
+     * Selects the entities of an embedsOne or embedsMany relation by expanding the json stored in
+     * the root model's column (keyFrom) into records, one per embedded entity. The columns of the
+     * records correspond to the properties of the embedded model, therefore they can be filtered
+     * like the columns of any other model. Entities without (or with invalid) embedded json have
+     * no related entities.
+     *
+     * @param {KnexQueryBuilder} the knex query builder of the subquery
+     * @param {Object} the aliases resolved by _trackAliases
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    _selectEmbedded(builder, { keyFrom, modelTo }) {
+        const columns = modelTo.getRecordDefinition();
+        const definition = columns.map(({ type }) => `?? ${type}`).join(', ');
+        const embedded = builder.client.raw(
+            'jsonb_to_recordset(case jsonb_typeof(??::jsonb) '
+                + 'when \'array\' then ??::jsonb '
+                + 'when \'object\' then jsonb_build_array(??::jsonb) '
+                + `end) as ??(${definition})`,
+            [keyFrom, keyFrom, keyFrom, modelTo.alias, ...columns.map(({ name }) => name)],
+        );
+        return builder.from(embedded);
+    }
+
+    _joinReference({
+        modelFrom, modelTo, relation, table,
+    }, opts) {
+        const { keys } = modelFrom.getRelationKeys(relation);
         return {
             table,
-            keyFrom,
-            keyTo,
+            keys: keys.map(([keyFrom, keyTo]) => ({
+                keyFrom: modelFrom.getColumnName(keyFrom, opts),
+                keyTo: modelTo.getColumnName(keyTo, opts),
+            })),
         };
     }
 
@@ -246,14 +760,13 @@ module.exports = class SearchQueryBuilder {
      *          and value the value to compare. The value should be an object of the form
      *          {operator: comparedValue}. The method will map operator to a valid postgres
      *          comparison operator and create a where statement of the form
-     *          `property operator comparedValue`
+     *          `property operator comparedValue`. The optional arrayType is the postgres type
+     *          of properties stored in native arrays (e.g. text[]).
      * @param {KnexQueryBuilder} the knex query builder
      *
      * @return {KnexQueryBuilder} the knex query builder
      */
-    applyPropertyFilter({ property, value }, builder) {
-
-        if (!value) return null;
+    applyPropertyFilter({ property, value, arrayType }, builder) {
         const operatorMap = {
             neq: '!=',
             gt: '>',
@@ -264,7 +777,10 @@ module.exports = class SearchQueryBuilder {
             ilike: 'ilike',
             nlike: 'not like',
             nilike: 'not ilike',
-
+            alike: 'like',
+            anlike: 'not like',
+            ailike: 'ilike',
+            anilike: 'not ilike',
         };
         const operator = this.supportedOperators.find(op =>
             Object.prototype.hasOwnProperty.call(value, op));
@@ -298,6 +814,32 @@ module.exports = class SearchQueryBuilder {
                     return builder.whereIn(property, content);
                 case 'nin':
                     return builder.whereNotIn(property, content);
+                case 'regexp': {
+                    const caseInsensitive = content.flags.includes('i');
+                    return builder.where(property, caseInsensitive ? '~*' : '~', content.pattern);
+                }
+                case 'near':
+                    return this.applyDistanceFilter(property, value, builder);
+                case 'contains':
+                case 'containedBy':
+                case 'overlaps':
+                    return this.applyArrayFilter(property, operator, content, arrayType, builder);
+                case 'match':
+                    return this.applyTextSearchFilter(property, content, builder);
+                case 'similar':
+                    return this.applySimilarityFilter(property, content, builder);
+                case 'alike':
+                case 'anlike':
+                case 'ailike':
+                case 'anilike': {
+                    // accent insensitive: both sides are unaccented
+                    const { client } = builder;
+                    return builder.where(
+                        client.raw('unaccent(??)', [property]),
+                        operatorMap[operator],
+                        client.raw('unaccent(?)', [content]),
+                    );
+                }
                 default: {
                     const valueString = JSON.stringify(value);
                     const msg = `Unknown operator encountered when comparing ${property} to ${valueString}`;
@@ -308,6 +850,314 @@ module.exports = class SearchQueryBuilder {
         return builder;
     }
 
+    /**
+     * Matches the property against a full text search query using postgres' text search
+     * (to_tsvector and plainto_tsquery or websearch_to_tsquery for the websearch syntax). The
+     * language is the text search configuration, postgres' default is used if it is missing.
+     *
+     * @param {String} the fully resolved name of the property
+     * @param {Object} the normalized match query {query, language, websearch}
+     * @param {KnexQueryBuilder} the knex query builder
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyTextSearchFilter(property, { query, language, websearch }, builder) {
+        const toTsQuery = websearch ? 'websearch_to_tsquery' : 'plainto_tsquery';
+        if (language) {
+            const sql = `to_tsvector(?::regconfig, ??) @@ ${toTsQuery}(?::regconfig, ?)`;
+            return builder.whereRaw(sql, [language, property, language, query]);
+        }
+        return builder.whereRaw(`to_tsvector(??) @@ ${toTsQuery}(?)`, [property, query]);
+    }
+
+    /**
+     * Restricts the trigram similarity (see pg_trgm) between the property and the query of the
+     * normalized similar query to the threshold.
+     *
+     * @param {String} the fully resolved name of the property
+     * @param {Object} the normalized similar query {query, threshold}
+     * @param {KnexQueryBuilder} the knex query builder
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applySimilarityFilter(property, similarQuery, builder) {
+        const similarity = this.createSimilarityExpression(builder.client, property, similarQuery);
+        return builder.where(similarity, '>=', similarQuery.threshold);
+    }
+
+    createSimilarityExpression(client, column, { query }) {
+        return client.raw('similarity(??, ?)', [column, query]);
+    }
+
+    /**
+     * Compares an array property with a list of values using the array operators contains,
+     * containedBy and overlaps. Native postgres arrays are compared using @>, <@ and &&. Loopback
+     * stores arrays as json by default, which are compared using the corresponding jsonb
+     * containment operators.
+     *
+     * @param {String} the fully resolved name of the property
+     * @param {String} the array operator
+     * @param {Array} the compared values
+     * @param {String} the type of native arrays (e.g. text[]), undefined for json arrays
+     * @param {KnexQueryBuilder} the knex query builder
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyArrayFilter(property, operator, values, arrayType, builder) {
+        const { client } = builder;
+        const placeholders = values.map(() => '?').join(', ');
+        if (arrayType) {
+            const array = client.raw(`ARRAY[${placeholders}]::${arrayType}`, values);
+            return builder.where(property, arrayOperators[operator], array);
+        }
+
+        const column = client.raw('??::jsonb', [property]);
+        if (operator === 'overlaps') {
+            // the array overlaps if it contains any of the values
+            const elements = values.map(value => JSON.stringify([value]));
+            const anyElement = client.raw(`any(ARRAY[${placeholders}]::jsonb[])`, elements);
+            return builder.where(column, '@>', anyElement);
+        }
+        const array = client.raw('?::jsonb', [JSON.stringify(values)]);
+        return builder.where(column, arrayOperators[operator], array);
+    }
+
+    /**
+     * Creates the expression accessing the nested path of a json property, e.g.
+     * `("book"."metadata"::jsonb -> 'awards' ->> 'count')`. Columns that are not declared as json
+     * (loopback stores json as text by default) are cast to jsonb. The value is cast to numeric
+     * or boolean if all the compared values are numbers or booleans respectively, values of
+     * other json types are not cast (the expression is null and therefore never matches), e.g.
+     * `(case when jsonb_typeof("book"."metadata"::jsonb -> 'year') = 'number'
+     * then ("book"."metadata"::jsonb ->> 'year')::numeric end)`.
+     *
+     * @param {KnexClient} the knex client
+     * @param {ModelWrapper} the wrapped model holding the property
+     * @param {String} the name of the json property
+     * @param {String} the fully resolved name of the column
+     * @param {Object} the normalized comparison containing the $path
+     *
+     * @return {KnexRaw} the expression
+     */
+    createJsonPathExpression(client, model, propertyName, column, comparison) {
+        const { postgresql = {} } = model.getModelProperties()[propertyName];
+        const dataType = String(postgresql.dataType).toLowerCase();
+        const isJsonColumn = dataType === 'json' || dataType === 'jsonb';
+        // array indexes have to be passed as integers
+        const path = comparison.$path.map(key => (/^\d+$/.test(key) ? Number(key) : key));
+        const accessors = path.map((key, index) => (index < path.length - 1 ? '-> ?' : '->> ?'));
+
+        const expression = `(${isJsonColumn ? '??' : '??::jsonb'} ${accessors.join(' ')})`;
+        const cast = this._getJsonValueCast(comparison);
+        if (!cast) {
+            return client.raw(expression, [column, ...path]);
+        }
+        const value = `??::jsonb ${path.map(() => '-> ?').join(' ')}`;
+        return client.raw(
+            `(case when jsonb_typeof(${value}) = ? then ${expression}::${cast} end)`,
+            [column, ...path, jsonValueTypes[cast], column, ...path],
+        );
+    }
+
+    /**
+     * Converts numeric strings compared by range operators (e.g. {lt: '1950'} sent in the query
+     * string) to numbers, which are compared numerically rather than as text.
+     *
+     * @param {Object} the normalized comparison containing the $path
+     * @return {Object} the comparison
+     */
+    _coerceJsonComparison(comparison) {
+        const coerce = value => (typeof value === 'string' && numericPattern.test(value)
+            ? Number(value) : value);
+        return Object.keys(comparison).reduce((coerced, operator) => {
+            const value = comparison[operator];
+            if (!rangeOperators.includes(operator)) {
+                return Object.assign(coerced, { [operator]: value });
+            }
+            return Object.assign(coerced, {
+                [operator]: Array.isArray(value) ? value.map(coerce) : coerce(value),
+            });
+        }, {});
+    }
+
+    _getJsonValueCast(comparison) {
+        const values = this.supportedOperators
+            .filter(operator => Object.prototype.hasOwnProperty.call(comparison, operator))
+            .reduce((compared, operator) => compared.concat(comparison[operator]), [])
+            .filter(value => value !== null && value !== undefined);
+        if (!values.length) {
+            return null;
+        }
+        if (values.every(value => typeof value === 'number')) {
+            return 'numeric';
+        }
+        if (values.every(value => typeof value === 'boolean')) {
+            return 'boolean';
+        }
+        return null;
+    }
+
+    /**
+     * Restricts the distance between the point stored in property (a GeoPoint) and the point of
+     * the normalized near query to maxDistance and minDistance. Without distances, the query
+     * only matches entities having a location (like loopback's near filter).
+     *
+     * @param {String} the fully resolved name of the property
+     * @param {Object} the normalized near query {near, unit, maxDistance, minDistance}
+     * @param {KnexQueryBuilder} the knex query builder
+     *
+     * @return {KnexQueryBuilder} the knex query builder
+     */
+    applyDistanceFilter(property, query, builder) {
+        const { maxDistance, minDistance } = query;
+        const distance = this.createDistanceExpression(builder.client, property, query);
+        // the distance to a missing location is null and therefore never matches a comparison
+        if (maxDistance > 0 && minDistance > 0) {
+            return builder.whereBetween(distance, [minDistance, maxDistance]);
+        }
+        if (maxDistance > 0) {
+            return builder.where(distance, '<=', maxDistance);
+        }
+        if (minDistance > 0) {
+            return builder.where(distance, '>=', minDistance);
+        }
+        return builder.whereNotNull(property);
+    }
+
+    /**
+     * Creates the raw expression calculating the distance between the point stored in column and
+     * the point of the near query using the haversine formula (which does not require PostGIS).
+     * Loopback stores GeoPoints as postgres points of the form (lng, lat).
+     *
+     * @param {KnexClient} the knex client
+     * @param {String} the fully resolved name of the column
+     * @param {Object} the normalized near query {near, unit}
+     *
+     * @return {KnexRaw} the distance expression
+     */
+    createDistanceExpression(client, column, { near, unit }) {
+        const { lat, lng } = near;
+        // the bound values are cast, postgres would infer the type of the radius from the 2
+        const haversine = '?::float8 * 2 * asin(sqrt('
+            + 'power(sin(radians(??[1] - ?::float8) / 2), 2) '
+            + '+ cos(radians(?::float8)) * cos(radians(??[1])) '
+            + '* power(sin(radians(??[0] - ?::float8) / 2), 2)'
+            + '))';
+        return client.raw(haversine, [earthRadius[unit], column, lat, lat, column, column, lng]);
+    }
+
+    /**
+     * Returns the query which determines the order of the result if the filter does not define
+     * an order: a query is ranked if it contains exactly one near or similar query that has to
+     * be met (i.e. is not part of an or, not or quantified query).
+     *
+     * @param {ModelWrapper} the wrapped model the query is applied to
+     * @param {Object} the normalized query
+     *
+     * @return {({path: Array, property: String, operator: String, query: Object}|null)} the
+     *          ranking query and the relations (with their normalized queries) leading to its
+     *          model
+     */
+    findRanking(rootModel, where) {
+        const rankingQueries = this._collectRankingQueries(rootModel, where, []);
+        return rankingQueries.length === 1 ? rankingQueries[0] : null;
+    }
+
+    _collectRankingQueries(model, { and = [] }, path) {
+        const rankingQueries = [];
+        this._forEachQuery(and, (propertyName, query) => {
+            if (propertyName === 'and') {
+                rankingQueries.push(...this._collectRankingQueries(model, { and: query }, path));
+            }
+            const isPlainRelationQuery = model.isRelation(propertyName) && Object
+                .keys(query)
+                .every(key => key === 'and' || key === 'or');
+            if (isPlainRelationQuery) {
+                const { modelTo } = model.getRelation(propertyName);
+                const relatedModel = this.wrapModel(modelTo);
+                const relationPath = path.concat({ relationName: propertyName, query });
+                rankingQueries
+                    .push(...this._collectRankingQueries(relatedModel, query, relationPath));
+            }
+            if (model.isProperty(propertyName)) {
+                Object
+                    .keys(rankingOperators)
+                    .filter(operator => Object.prototype.hasOwnProperty.call(query, operator))
+                    .forEach((operator) => {
+                        rankingQueries.push({
+                            path,
+                            property: propertyName,
+                            operator,
+                            query,
+                        });
+                    });
+            }
+        });
+        return rankingQueries;
+    }
+
+    /**
+     * Creates the expression used to order the root model by the ranking query (the distance of
+     * near queries, the similarity of similar queries). If the query is applied to a related
+     * model, the expression is a subquery returning the best ranking of all related entities
+     * matching the relation's query.
+     *
+     * @param {KnexQueryBuilder} the knex query builder
+     * @param {ModelWrapper} the wrapped model the expression is correlated with
+     * @param {Object} the ranking returned by findRanking
+     * @param {TableAliasProvider} the provider keeping track of the encountered tables
+     *
+     * @return {KnexRaw} the ranking expression
+     */
+    createRankingOrder(builder, model, ranking, aliasProvider) {
+        const {
+            path,
+            property,
+            operator,
+            query,
+        } = ranking;
+        const options = this.getColumnOptions();
+        if (!path.length) {
+            const column = model.getColumnName(property, options);
+            return operator === 'near'
+                ? this.createDistanceExpression(builder.client, column, query)
+                : this.createSimilarityExpression(builder.client, column, query[operator]);
+        }
+
+        const [{ relationName, query: relationQuery }, ...remainingPath] = path;
+        const aliases = this._trackAliases(model, relationName, aliasProvider, options);
+        const rankingQuery = builder.client.queryBuilder();
+        this.createRelationSubQuery(rankingQuery, aliases, options);
+        this.applyFilters(rankingQuery, aliases.modelTo, relationQuery, aliasProvider);
+
+        const rank = this.createRankingOrder(
+            builder,
+            aliases.modelTo,
+            Object.assign({}, ranking, { path: remainingPath }),
+            aliasProvider,
+        );
+        const { aggregate } = rankingOperators[operator];
+        rankingQuery.select(builder.client.raw(`${aggregate}(?)`, [rank]));
+        return builder.client.raw('?', [rankingQuery]);
+    }
+
+    /**
+     * Returns true if the result of the filter is ranked (see findRanking), in which case the
+     * query created by buildQuery also applies limit and skip (offset) of the filter.
+     *
+     * @param modelName
+     * @param filter
+     * @return {boolean}
+     */
+    isRanked(modelName, filter = {}) {
+        if (filter.order || !filter.where) {
+            return false;
+        }
+        const rootModel = this.wrapModel(this.models[modelName]);
+        const where = this.normalizer.normalizeQuery(modelName, filter.where);
+        return this.findRanking(rootModel, where) !== null;
+    }
+
     /**
      * Creates the root select statement, normalizes the where query using the given normalizer
      * and recursively invokes the query building.
@@ -321,16 +1171,87 @@ module.exports = class SearchQueryBuilder {
      */
     createRootQuery(builder, rootModel, aliasProvider, filter = {}) {
 
-        const [id] = rootModel.getIdProperties({ preserveCase: this.preserveColumnCase });
+        const ids = rootModel.getIdProperties(this.getColumnOptions());
+        const idNames = rootModel.getIdProperties({ ignoreAlias: true });
         const tableName = rootModel.getAliasedTable();
 
-        const basicSelect = builder(tableName).select(id).groupBy(id);
-        if (!filter.where) {
+        // the ids are read by the names of the id properties, therefore mapped columns are renamed
+        const idColumns = ids.map((id, index) => (id.endsWith(`.${idNames[index]}`)
+            ? id
+            : `${id} as ${idNames[index]}`));
+        const basicSelect = builder(tableName).select(idColumns);
+        const searchQuery = this.createSearchQuery(rootModel, filter.search);
+        if (!filter.where && !searchQuery) {
             return basicSelect;
         }
 
-        const where = this.normalizer.normalizeQuery(rootModel.getName(), filter.where || {});
-        return this.queryRelationsAndProperties(basicSelect, rootModel, aliasProvider, where);
+        const whereQuery = searchQuery
+            ? { and: [filter.where || {}, ...searchQuery.and] }
+            : filter.where;
+        const where = this.normalizer.normalizeQuery(rootModel.getName(), whereQuery);
+        const query = this
+            .queryRelationsAndProperties(basicSelect, rootModel, aliasProvider, where);
+
+        // like loopback, order by distance (or similarity) if no other order is requested; since
+        // the order can not be passed on to loopback, pagination has to be applied here as well
+        const ranking = filter.order ? null : this.findRanking(rootModel, where);
+        if (ranking) {
+            const { direction } = rankingOperators[ranking.operator];
+            const rankingOrder = this.createRankingOrder(query, rootModel, ranking, aliasProvider);
+            query.orderBy(rankingOrder, direction);
+            ids.forEach(id => query.orderBy(id));
+            if (filter.limit) {
+                query.limit(filter.limit);
+            }
+            const skip = filter.skip || filter.offset;
+            if (skip) {
+                query.offset(skip);
+            }
+        }
+        return query;
+    }
+
+    /**
+     * Creates the where query for the free text search of the filter: the search is split into
+     * tokens and every token has to be contained (case insensitive) in at least one of the
+     * search fields. Search fields are properties of the model or paths to properties of related
+     * models (e.g. authors.lastName).
+     *
+     * @param {ModelWrapper} the wrapped model to search
+     * @param {String} the search of the filter
+     *
+     * @return {(Object|null)} the where query, null if there is nothing to search for
+     */
+    createSearchQuery(rootModel, search) {
+        const isSearchable = typeof search === 'string' || typeof search === 'number';
+        const tokens = isSearchable ? String(search).trim().split(/\s+/).filter(Boolean) : [];
+        if (!tokens.length) {
+            return null;
+        }
+        if (!this.searchFields.length) {
+            const message = `Searching is not enabled on model ${rootModel.getName()}, configure the searchFields to enable it.`;
+            throw new InvalidValueError(message);
+        }
+
+        return {
+            and: tokens.map((token) => {
+                // the token is matched literally, wildcards of like have to be escaped
+                const comparison = { ilike: `%${token.replace(/[\\%_]/g, '\\$&')}%` };
+                return {
+                    or: this.searchFields
+                        .map(field => this._createFieldQuery(rootModel, field, comparison)),
+                };
+            }),
+        };
+    }
+
+    _createFieldQuery(model, field, comparison) {
+        const [name, ...path] = field.split('.');
+        if (path.length && model.isRelation(name)) {
+            const relatedModel = this.wrapModel(model.getRelation(name).modelTo);
+            return { [name]: this._createFieldQuery(relatedModel, path.join('.'), comparison) };
+        }
+        return { [field]: comparison };
     }
 
     /**
@@ -366,7 +1287,7 @@ module.exports = class SearchQueryBuilder {
     buildQuery(modelName, filter) {
         const aliasProvider = new TableAliasProvider();
         const rootModelAlias = this.createAlias(aliasProvider, modelName);
-        const rootModel = ModelWrapper.fromModel(this.models[modelName], rootModelAlias);
+        const rootModel = this.wrapModel(this.models[modelName], rootModelAlias);
         const builder = this.getQueryBuilder(rootModel);
 
         return this.createRootQuery(builder, rootModel, aliasProvider, filter);
@@ -1,5 +1,8 @@
 
+const ExtensionDetector = require('./ExtensionDetector');
 const ModelWrapper = require('./ModelWrapper');
+const RelativeDateResolver = require('./RelativeDateResolver');
+const ValueCoercer = require('./ValueCoercer');
 const error = require('./error');
 
 const defaultSupportedOpperators = [
@@ -16,6 +19,108 @@ const defaultSupportedOpperators = [
     'inq',
     'nin',
     'between',
+    'regexp',
+    'near',
+    'contains',
+    'containedBy',
+    'overlaps',
+    'match',
+    'similar',
+    'alike',
+    'anlike',
+    'ailike',
+    'anilike',
+];
+
+// accent insensitive variants of the pattern operators (see unaccent)
+const unaccentOperators = [
+    'alike',
+    'anlike',
+    'ailike',
+    'anilike',
+];
+
+// operators comparing array properties with a list of values
+const arrayOperators = [
+    'contains',
+    'containedBy',
+    'overlaps',
+];
+
+// units supported by the near operator (see loopback's GeoPoint), defaults to miles
+const distanceUnits = [
+    'miles',
+    'kilometers',
+    'meters',
+    'feet',
+    'radians',
+    'degrees',
+];
+
+// operators whose value can reference another property, e.g. {gt: {$ref: 'mainAuthor.deathDate'}}
+const referenceOperators = [
+    '=',
+    'neq',
+    'lt',
+    'lte',
+    'gt',
+    'gte',
+];
+
+// the similarity threshold of similar queries (pg_trgm's default of similarity_threshold)
+const defaultSimilarityThreshold = 0.3;
+
+// flags of regular expressions that can be mapped to postgres (i: case insensitive matching)
+const supportedRegExpFlags = [
+    'i',
+];
+
+const quantifiers = [
+    '$some',
+    '$every',
+    '$none',
+];
+
+const aggregates = [
+    '$count',
+    '$sum',
+    '$avg',
+    '$min',
+    '$max',
+];
+
+// types of properties whose nested paths can be queried (e.g. data.status)
+const jsonTypes = [
+    'json',
+    'object',
+];
+
+// aggregates whose result has the type of the aggregated property, the others are numeric
+const typedAggregates = [
+    '$min',
+    '$max',
+];
+
+// the types of the properties supported by the aggregates: $sum and $avg calculate numbers,
+// $min and $max compare the values
+const aggregatedTypes = {
+    $sum: ['number'],
+    $avg: ['number'],
+    $min: ['number', 'string', 'date'],
+    $max: ['number', 'string', 'date'],
+};
+
+// operators that can be used to compare the result of an aggregate (e.g. $count)
+const aggregateOperators = [
+    '=',
+    'neq',
+    'lt',
+    'lte',
+    'gt',
+    'gte',
+    'inq',
+    'nin',
+    'between',
 ];
 
 /**
@@ -28,11 +133,15 @@ module.exports = class SearchQueryNormalizer {
     constructor(models, {
         supportedOperators = defaultSupportedOpperators,
         rejectUnknownProperties = false,
+        missingExtensions = [],
+        timezone = 'UTC',
     } = {}) {
         this.models = models;
         this.wrappedModels = {};
         this.supportedOperators = supportedOperators;
         this.rejectUnknownProperties = rejectUnknownProperties;
+        this.missingExtensions = missingExtensions;
+        this.dateResolver = new RelativeDateResolver({ timezone });
     }
 
     normalizeQuery(rootModelName, where) {
@@ -47,6 +156,7 @@ module.exports = class SearchQueryNormalizer {
         const rootModel = this.getWrappedModel(rootModelName);
         const normalizedAnd = [];
         const normalizedOr = [];
+        this.validateQuery(rootModel, where);
 
         Object
             .keys(where)
@@ -54,9 +164,11 @@ module.exports = class SearchQueryNormalizer {
                 const query = where[property];
 
                 if (property === 'and') {
-                    normalizedAnd.push(...query);
+                    normalizedAnd.push(...this.validateQueryCollection(rootModel, 'and', query));
                 } else if (property === 'or') {
-                    normalizedOr.push(...query);
+                    normalizedOr.push(...this.validateQueryCollection(rootModel, 'or', query));
+                } else if (property === 'not') {
+                    normalizedAnd.push({ not: query });
                 } else if (this.isValidProperty(rootModel, property)) {
                     // this also includes or queries
                     normalizedAnd.push({ [property]: query });
@@ -70,12 +182,42 @@ module.exports = class SearchQueryNormalizer {
             result.and = this.normalizeQueryCollection(rootModel, normalizedAnd);
         }
         if (normalizedOr.length) {
-            result.or = this.normalizeQueryCollection(rootModel, normalizedOr);
+            result.or = this.normalizeQueryCollection(rootModel, normalizedOr, { isOr: true });
         }
 
         return result;
     }
 
+    /**
+     * Ensures that a (nested) where query is an object.
+     *
+     * @param model
+     * @param query
+     */
+    validateQuery(model, query) {
+        if (query === null || typeof query !== 'object' || Array.isArray(query)) {
+            const message = `Invalid query ${JSON.stringify(query)} on the model "${model.getName()}", expected an object.`;
+            throw new error.InvalidValueError(message);
+        }
+    }
+
+    /**
+     * Ensures that the collection of an and/or query is an array of queries.
+     *
+     * @param model
+     * @param operator and/or
+     * @param queryCollection
+     * @returns {Array} the collection
+     */
+    validateQueryCollection(model, operator, queryCollection) {
+        if (!Array.isArray(queryCollection)) {
+            const message = `Invalid ${operator} query ${JSON.stringify(queryCollection)} on the model "${model.getName()}", expected an array of queries.`;
+            throw new error.InvalidValueError(message);
+        }
+        queryCollection.forEach(query => this.validateQuery(model, query));
+        return queryCollection;
+    }
+
     /**
      * @todo: add logging?
      *
@@ -91,28 +233,66 @@ module.exports = class SearchQueryNormalizer {
         }
     }
 
-    normalizeQueryCollection(model, queryCollection) {
+    /**
+     * Normalizes the entries of an and/or collection. Entries of an or collection that contain
+     * multiple properties are wrapped in an and query to preserve their conjunction, entries of
+     * an and collection are flattened.
+     *
+     * @param model
+     * @param queryCollection
+     * @param isOr
+     * @returns {Array}
+     */
+    normalizeQueryCollection(model, queryCollection, { isOr = false } = {}) {
         return queryCollection.reduce((queries, query) => {
+            if (isOr && Object.keys(query).length > 1) {
+                queries.push({
+                    and: this.normalizeQueryCollection(model, [query]),
+                });
+                return queries;
+            }
             Object
                 .keys(query)
                 .forEach((property) => {
-                    if (model.isProperty(property)) {
+                    if (this.isJsonPathQuery(model, property, query[property])) {
+                        const [jsonProperty, ...path] = property.split('.');
+                        queries.push(...this.normalizeJsonPath(
+                            model,
+                            jsonProperty,
+                            path,
+                            query[property],
+                        ));
+                    } else if (model.isProperty(property)) {
                         queries.push(this.normalizeProperty(model, property, query[property]));
                     }
                     if (model.isRelation(property)) {
-                        const targetModel = model.getRelation(property).modelTo;
-                        queries.push({
-                            [property]: this.normalizeQuery(targetModel.modelName, query[property]),
-                        });
+                        const relationQueries = this.normalizeRelation(
+                            model,
+                            property,
+                            query[property],
+                        );
+                        // multiple quantifiers on the same relation have to be met all together
+                        if (relationQueries.length > 1) {
+                            queries.push({ and: relationQueries });
+                        } else {
+                            queries.push(...relationQueries);
+                        }
                     }
                     if (property === 'and') {
+                        const collection = this.validateQueryCollection(model, 'and', query.and);
                         queries.push({
-                            and: this.normalizeQueryCollection(model, query.and),
+                            and: this.normalizeQueryCollection(model, collection),
                         });
                     }
                     if (property === 'or') {
+                        const collection = this.validateQueryCollection(model, 'or', query.or);
+                        queries.push({
+                            or: this.normalizeQueryCollection(model, collection, { isOr: true }),
+                        });
+                    }
+                    if (property === 'not') {
                         queries.push({
-                            or: this.normalizeQueryCollection(model, query.or),
+                            not: this.normalizeWhereQuery(model.getName(), query.not),
                         });
                     }
                 });
@@ -120,13 +300,504 @@ module.exports = class SearchQueryNormalizer {
         }, []);
     }
 
+    /**
+     * Normalizes the query on a relation of the model. The quantifiers $every and $none are kept
+     * (wrapping the normalized query of the target model), $some is equivalent to querying the
+     * relation directly. Properties of the target model next to quantifiers are treated as an
+     * additional $some query. Aggregates (e.g. $count) are normalized by normalizeAggregate.
+     *
+     * @param model
+     * @param relationName
+     * @param query
+     * @returns {Array} the normalized queries which have to be met all together
+     */
+    normalizeRelation(model, relationName, query) {
+        const { modelTo } = model.getRelation(relationName);
+        this.validateQuery(model, query);
+        if (!modelTo) {
+            return this.normalizePolymorphicRelation(model, relationName, query);
+        }
+        return this.normalizeRelatedQuery(modelTo.modelName, relationName, query);
+    }
+
+    /**
+     * Normalizes the query on a polymorphic belongsTo relation which has no fixed target model:
+     * the queried model is selected by $type (e.g. {imageable: {$type: 'Book', title: '1984'}})
+     * and kept in the normalized queries.
+     *
+     * @param model
+     * @param relationName
+     * @param query
+     * @returns {Array} the normalized queries which have to be met all together
+     */
+    normalizePolymorphicRelation(model, relationName, query) {
+        const { $type: type } = query;
+        if (typeof type !== 'string' || !this.models[type]) {
+            const message = `Invalid $type ${JSON.stringify(type)} in query on the polymorphic relation "${model.getName()}.${relationName}", use the name of the related model.`;
+            throw new error.InvalidValueError(message);
+        }
+        const targetQuery = Object.assign({}, query);
+        delete targetQuery.$type;
+        return this
+            .normalizeRelatedQuery(type, relationName, targetQuery)
+            .map(normalized => ({
+                [relationName]: Object.assign({ $type: type }, normalized[relationName]),
+            }));
+    }
+
+    normalizeRelatedQuery(targetModelName, relationName, query) {
+        const queriedQuantifiers = quantifiers
+            .concat(aggregates)
+            .filter(quantifier => Object.prototype.hasOwnProperty.call(query, quantifier));
+
+        if (queriedQuantifiers.length === 0) {
+            return [{ [relationName]: this.normalizeQuery(targetModelName, query) }];
+        }
+
+        const unquantifiedQuery = Object.assign({}, query);
+        const queries = queriedQuantifiers.reduce((normalizedQueries, quantifier) => {
+            delete unquantifiedQuery[quantifier];
+            if (aggregates.includes(quantifier)) {
+                const aggregate = this.normalizeAggregate(
+                    targetModelName,
+                    quantifier,
+                    query[quantifier],
+                );
+                // invalid aggregates are ignored (if unknown properties are not rejected)
+                if (aggregate) {
+                    normalizedQueries.push({ [relationName]: { [quantifier]: aggregate } });
+                }
+                return normalizedQueries;
+            }
+            const normalized = this.normalizeQuery(targetModelName, query[quantifier]);
+            if (quantifier === '$some') {
+                normalizedQueries.push({ [relationName]: normalized });
+            } else {
+                normalizedQueries.push({ [relationName]: { [quantifier]: normalized } });
+            }
+            return normalizedQueries;
+        }, []);
+
+        if (Object.keys(unquantifiedQuery).length) {
+            queries.push({
+                [relationName]: this.normalizeQuery(targetModelName, unquantifiedQuery),
+            });
+        }
+        return queries;
+    }
+
+    /**
+     * Normalizes an aggregate query of the form {property, where: {...}, operator: value} whereas
+     * the where query restricts the aggregated entities of the target model and property is the
+     * aggregated property of the target model ($sum, $avg, $min and $max only). A plain value is
+     * compared for equality (i.e. {$count: 0}). Properties whose type is not supported by the
+     * aggregate (e.g. $avg of a string) are rejected.
+     *
+     * @param targetModelName
+     * @param aggregate the aggregate, e.g. $count
+     * @param query
+     * @returns {({where: Object}|null)} null if the aggregated property is invalid
+     */
+    normalizeAggregate(targetModelName, aggregate, query) {
+        const isQuery = query !== null && typeof query === 'object' && !Array.isArray(query);
+        const comparison = isQuery ? Object.assign({}, query) : { '=': query };
+        const where = comparison.where || {};
+        const { property } = comparison;
+        delete comparison.where;
+        delete comparison.property;
+
+        const operators = Object.keys(comparison);
+        if (operators.length !== 1 || !aggregateOperators.includes(operators[0])) {
+            const queried = JSON.stringify(query);
+            const supported = aggregateOperators.join(', ');
+            const message = `Invalid comparison in ${aggregate} query (${queried}), use exactly one of the operators ${supported}.`;
+            throw new error.UnknownOperatorError(message);
+        }
+
+        const normalized = { where: this.normalizeQuery(targetModelName, where) };
+        let type = Number;
+        if (aggregate !== '$count') {
+            const targetModel = this.getWrappedModel(targetModelName);
+            if (!targetModel.isProperty(property)) {
+                this.handleInvalidProperty(targetModel, property, { [aggregate]: query });
+                return null;
+            }
+            const propertyType = targetModel.getPropertyType(property);
+            if (!aggregatedTypes[aggregate].includes(propertyType)) {
+                const types = aggregatedTypes[aggregate].join(', ');
+                const message = `The ${aggregate} aggregate is not supported on "${targetModelName}.${property}" of type ${propertyType}, use a property of type ${types}.`;
+                throw new error.InvalidValueError(message);
+            }
+            normalized.property = property;
+            if (typedAggregates.includes(aggregate)) {
+                ({ type } = targetModel.getModelProperties()[property]);
+            }
+        }
+
+        const coercer = new ValueCoercer(
+            `${targetModelName}.${aggregate}`,
+            type,
+            { dateResolver: this.dateResolver },
+        );
+        return Object.assign(normalized, coercer.coerceComparison(comparison));
+    }
+
     normalizeProperty(rootModel, property, query) {
-        const comparison = this.hasSupportedOperator(query) ? query : { '=': query };
+        let comparison = this.hasSupportedOperator(query) ? query : { '=': query };
+        // loopback allows passing regular expressions without operator
+        if (query instanceof RegExp) {
+            comparison = { regexp: query };
+        }
+        if (Object.prototype.hasOwnProperty.call(comparison, 'regexp')) {
+            const regexp = this.normalizeRegExp(comparison.regexp);
+            comparison = Object.assign({}, comparison, { regexp });
+        }
+        if (Object.prototype.hasOwnProperty.call(comparison, 'near')) {
+            comparison = this.normalizeNear(rootModel, property, comparison);
+        }
+        if (Object.prototype.hasOwnProperty.call(comparison, 'match')) {
+            comparison = this.normalizeMatch(rootModel, property, comparison);
+        }
+        if (Object.prototype.hasOwnProperty.call(comparison, 'similar')) {
+            comparison = this.normalizeSimilar(rootModel, property, comparison);
+        }
+        const unaccentOperator = unaccentOperators
+            .find(operator => Object.prototype.hasOwnProperty.call(comparison, operator));
+        if (unaccentOperator) {
+            if (rootModel.getPropertyType(property) !== 'string') {
+                const message = `The ${unaccentOperator} operator is not supported on "${rootModel.getName()}.${property}" which is not a string.`;
+                throw new error.UnknownOperatorError(message);
+            }
+            this.assertRequiredExtension(unaccentOperator);
+        }
+        const arrayOperator = arrayOperators
+            .find(operator => Object.prototype.hasOwnProperty.call(comparison, operator));
+        if (arrayOperator && rootModel.getPropertyType(property) !== 'array') {
+            const message = `The ${arrayOperator} operator is not supported on "${rootModel.getName()}.${property}" which is not an array.`;
+            throw new error.UnknownOperatorError(message);
+        }
+        // references are compared with the referenced column and therefore not coerced
+        const references = this.normalizeReferences(rootModel, property, comparison);
+        const values = Object.assign({}, comparison);
+        Object.keys(references).forEach(operator => delete values[operator]);
+
+        const { type } = rootModel.getModelProperties()[property];
+        const coercer = new ValueCoercer(
+            `${rootModel.getName()}.${property}`,
+            type,
+            { dateResolver: this.dateResolver },
+        );
+        return {
+            [property]: Object.assign(coercer.coerceComparison(values), references),
+        };
+    }
+
+    /**
+     * Normalizes the values of a comparison which reference another property, e.g.
+     * {gt: {$ref: 'mainAuthor.deathDate'}}. References are paths of the form
+     * `relation.relation.property` starting at the model of the compared property and are
+     * normalized to {$ref: {path: ['relation', 'relation'], property: 'property'}}.
+     *
+     * @param model
+     * @param property
+     * @param comparison
+     * @returns {Object} the normalized references by operator
+     */
+    normalizeReferences(model, property, comparison) {
+        return Object
+            .keys(comparison)
+            .filter(operator => this.isReference(comparison[operator]))
+            .reduce((references, operator) => {
+                if (!referenceOperators.includes(operator)) {
+                    const message = `The ${operator} operator does not support references, use one of ${referenceOperators.join(', ')}.`;
+                    throw new error.InvalidValueError(message);
+                }
+                const reference = this.resolveReference(model, property, comparison[operator].$ref);
+                return Object.assign(references, { [operator]: { $ref: reference } });
+            }, {});
+    }
+
+    isReference(value) {
+        return value !== null
+            && typeof value === 'object'
+            && Object.prototype.hasOwnProperty.call(value, '$ref');
+    }
+
+    resolveReference(model, property, reference) {
+        if (typeof reference !== 'string' || !reference) {
+            const message = `Invalid reference ${JSON.stringify(reference)}, use the name of a property (e.g. mainAuthor.deathDate).`;
+            throw new error.InvalidValueError(message);
+        }
+        const path = reference.split('.');
+        const referencedProperty = path.pop();
+        const referencedModel = path.reduce((currentModel, relationName) => {
+            if (!currentModel.isRelation(relationName)) {
+                const message = `Unknown relation "${currentModel.getName()}.${relationName}" in reference "${reference}".`;
+                throw new error.UnknownPropertyError(message);
+            }
+            const { modelTo } = currentModel.getRelation(relationName);
+            if (!modelTo) {
+                const message = `The polymorphic relation "${currentModel.getName()}.${relationName}" in reference "${reference}" can not be resolved.`;
+                throw new error.InvalidValueError(message);
+            }
+            return this.getWrappedModel(modelTo.modelName);
+        }, model);
+        if (!referencedModel.isProperty(referencedProperty)) {
+            const message = `Unknown property "${referencedModel.getName()}.${referencedProperty}" in reference "${reference}".`;
+            throw new error.UnknownPropertyError(message);
+        }
+
+        // properties of different types can not be compared (unless their type is unknown)
+        const types = [
+            model.getPropertyType(property),
+            referencedModel.getPropertyType(referencedProperty),
+        ];
+        const isComparable = types.includes('any') || types[0] === types[1];
+        if (!isComparable) {
+            const message = `The property "${model.getName()}.${property}" (${types[0]}) can not be compared with "${referencedModel.getName()}.${referencedProperty}" (${types[1]}).`;
+            throw new error.InvalidValueError(message);
+        }
+        return {
+            path,
+            property: referencedProperty,
+        };
+    }
+
+    /**
+     * Normalizes the value of a regexp query which is either a RegExp or a string. Strings of the
+     * form /pattern/flags are split into pattern and flags (as done by loopback), other strings
+     * are used as pattern.
+     *
+     * @param regexp
+     * @returns {{pattern: string, flags: string}}
+     */
+    normalizeRegExp(regexp) {
+        let pattern = regexp;
+        let flags = '';
+        if (regexp instanceof RegExp) {
+            pattern = regexp.source;
+            ({ flags } = regexp);
+        } else if (typeof regexp === 'string') {
+            const match = regexp.match(/^\/([\s\S]*)\/([a-z]*)$/);
+            if (match) {
+                [, pattern, flags] = match;
+            }
+        } else {
+            const message = `Invalid regular expression ${JSON.stringify(regexp)}, use a string or a RegExp.`;
+            throw new error.InvalidValueError(message);
+        }
+
+        const unsupportedFlags = flags
+            .split('')
+            .filter(flag => !supportedRegExpFlags.includes(flag));
+        if (unsupportedFlags.length) {
+            const message = `Unsupported flags "${unsupportedFlags.join('')}" in regular expression ${regexp}, supported flags are "${supportedRegExpFlags.join('')}".`;
+            throw new error.InvalidValueError(message);
+        }
+
+        return { pattern, flags };
+    }
+
+    /**
+     * Normalizes a query on a nested path of a json property which is either given as key of the
+     * form property.path.to.value or as nested object (e.g. {data: {status: {inq: [...]}}}).
+     * The path is stored next to the comparison, e.g. {data: {$path: ['status'], inq: [...]}}.
+     *
+     * @param model
+     * @param property the json property
+     * @param path the path within the property queried so far
+     * @param query
+     * @returns {Array} the normalized comparisons of all the queried paths
+     */
+    normalizeJsonPath(model, property, path, query) {
+        if (this.isNestedQuery(query)) {
+            return Object
+                .keys(query)
+                .reduce((queries, key) => queries.concat(this.normalizeJsonPath(
+                    model,
+                    property,
+                    path.concat(key.split('.')),
+                    query[key],
+                )), []);
+        }
+        const comparison = this.normalizeProperty(model, property, query)[property];
+        if (Object.keys(comparison).some(operator => this.isReference(comparison[operator]))) {
+            const message = `References are not supported on nested paths of the json property "${model.getName()}.${property}".`;
+            throw new error.InvalidValueError(message);
+        }
+        return [{ [property]: Object.assign({ $path: path }, comparison) }];
+    }
+
+    /**
+     * Returns true if the key queries a nested path of a json property (either using a key of
+     * the form property.path or a nested object as query).
+     *
+     * @param model
+     * @param key
+     * @param query
+     * @returns {boolean}
+     */
+    isJsonPathQuery(model, key, query) {
+        const [property, ...path] = key.split('.');
+        if (!jsonTypes.includes(model.getPropertyType(property))) {
+            return false;
+        }
+        return path.length > 0 || this.isNestedQuery(query);
+    }
+
+    isNestedQuery(query) {
+        return query !== null
+            && typeof query === 'object'
+            && !Array.isArray(query)
+            && !(query instanceof Date)
+            && !(query instanceof RegExp)
+            && !this.hasSupportedOperator(query);
+    }
+
+    /**
+     * Normalizes a full text search of the form {match, language, websearch} on a string
+     * property to {match: {query, language, websearch}}.
+     *
+     * @param model
+     * @param property
+     * @param query
+     * @returns {{match: {query: string, language: (string|undefined), websearch: boolean}}}
+     */
+    normalizeMatch(model, property, query) {
+        if (model.getPropertyType(property) !== 'string') {
+            const message = `The match operator is not supported on "${model.getName()}.${property}" which is not a string.`;
+            throw new error.UnknownOperatorError(message);
+        }
+
+        const { match, language, websearch = false } = query;
+        if (typeof match !== 'string' && typeof match !== 'number') {
+            const message = `Invalid search ${JSON.stringify(match)} in match query, use a string.`;
+            throw new error.InvalidValueError(message);
+        }
+        // the language is the name of a postgres text search configuration (e.g. english)
+        if (language !== undefined && !/^[a-z_]+$/i.test(language)) {
+            const message = `Invalid language ${JSON.stringify(language)} in match query.`;
+            throw new error.InvalidValueError(message);
+        }
+        const normalized = {
+            query: String(match),
+            websearch: websearch === true || websearch === 'true',
+        };
+        if (language !== undefined) {
+            normalized.language = language;
+        }
+        return { match: normalized };
+    }
+
+    /**
+     * Normalizes a trigram similarity query of the form {similar, threshold} on a string property
+     * to {similar: {query, threshold}}. The threshold is a number between 0 and 1.
+     *
+     * @param model
+     * @param property
+     * @param query
+     * @returns {{similar: {query: string, threshold: number}}}
+     */
+    normalizeSimilar(model, property, query) {
+        if (model.getPropertyType(property) !== 'string') {
+            const message = `The similar operator is not supported on "${model.getName()}.${property}" which is not a string.`;
+            throw new error.UnknownOperatorError(message);
+        }
+        this.assertRequiredExtension('similar');
+
+        const { similar, threshold = defaultSimilarityThreshold } = query;
+        if (typeof similar !== 'string' && typeof similar !== 'number') {
+            const message = `Invalid value ${JSON.stringify(similar)} in similar query, use a string.`;
+            throw new error.InvalidValueError(message);
+        }
+        const number = Number(threshold);
+        if (threshold === '' || threshold === null || !(number >= 0 && number <= 1)) {
+            const message = `Invalid threshold ${JSON.stringify(threshold)} in similar query, use a number between 0 and 1.`;
+            throw new error.InvalidValueError(message);
+        }
         return {
-            [property]: comparison,
+            similar: {
+                query: String(similar),
+                threshold: number,
+            },
         };
     }
 
+    /**
+     * Rejects operators requiring a postgres extension that is missing on the data source.
+     *
+     * @param operator
+     */
+    assertRequiredExtension(operator) {
+        const extension = ExtensionDetector.getRequiredExtension(operator);
+        if (extension && this.missingExtensions.includes(extension)) {
+            const message = `The ${operator} operator requires the postgres extension ${extension} which is not installed.`;
+            throw new error.MissingExtensionError(message);
+        }
+    }
+
+    /**
+     * Normalizes a near query of the form {near, maxDistance, minDistance, unit} on a GeoPoint
+     * property. The point is accepted in all formats loopback accepts for GeoPoints ({lat, lng},
+     * [lat, lng] or "lat,lng") and converted to {lat, lng}, the unit defaults to miles.
+     *
+     * @param model
+     * @param property
+     * @param query
+     * @returns {{near: {lat: number, lng: number}, unit: string}}
+     */
+    normalizeNear(model, property, query) {
+        if (model.getPropertyType(property) !== 'geopoint') {
+            const message = `The near operator is not supported on "${model.getName()}.${property}" which is not a GeoPoint.`;
+            throw new error.UnknownOperatorError(message);
+        }
+
+        const { maxDistance, minDistance, unit = 'miles' } = query;
+        if (!distanceUnits.includes(unit)) {
+            const message = `Unsupported unit "${unit}" in near query, supported units are ${distanceUnits.join(', ')}.`;
+            throw new error.InvalidValueError(message);
+        }
+        const normalized = { near: this.normalizeGeoPoint(query.near), unit };
+        [['maxDistance', maxDistance], ['minDistance', minDistance]]
+            .filter(([, distance]) => distance !== undefined && distance !== null)
+            .forEach(([name, distance]) => {
+                const number = Number(distance);
+                if (distance === '' || Number.isNaN(number)) {
+                    const message = `Invalid ${name} ${JSON.stringify(distance)} in near query, use a number.`;
+                    throw new error.InvalidValueError(message);
+                }
+                normalized[name] = number;
+            });
+        return normalized;
+    }
+
+    /**
+     * Converts a point given as {lat, lng}, [lat, lng] or "lat,lng" into {lat, lng}.
+     *
+     * @param point
+     * @returns {{lat: number, lng: number}}
+     */
+    normalizeGeoPoint(point) {
+        let coordinates = point;
+        if (typeof point === 'string') {
+            coordinates = point.split(',');
+        }
+        if (Array.isArray(coordinates)) {
+            coordinates = { lat: coordinates[0], lng: coordinates[1] };
+        }
+
+        const { lat, lng } = coordinates || {};
+        const isCoordinate = (value, limit) => value !== null
+            && value !== ''
+            && Number.isFinite(Number(value))
+            && Math.abs(Number(value)) <= limit;
+        if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) {
+            const message = `Invalid point ${JSON.stringify(point)} in near query, use {lat, lng}, [lat, lng] or "lat,lng".`;
+            throw new error.InvalidValueError(message);
+        }
+        return { lat: Number(lat), lng: Number(lng) };
+    }
+
     hasSupportedOperator(value) {
         if (!value) return false;
         return this.supportedOperators
@@ -135,9 +806,11 @@ module.exports = class SearchQueryNormalizer {
 
     isValidProperty(model, property) {
         return model.isProperty(property)
+            || this.isJsonPathQuery(model, property)
             || model.isRelation(property)
             || property === 'and'
-            || property === 'or';
+            || property === 'or'
+            || property === 'not';
     }
 
     getWrappedModel(name) {
@@ -0,0 +1,194 @@
+const RelativeDateResolver = require('./RelativeDateResolver');
+const { InvalidValueError } = require('./error');
+
+// operators comparing the property with a single value
+const valueOperators = ['=', 'neq', 'gt', 'gte', 'lt', 'lte'];
+// operators comparing the property with a list of values
+const listOperators = ['inq', 'nin', 'between'];
+// operators comparing the property with a pattern
+const patternOperators = ['like', 'nlike', 'ilike', 'nilike', 'alike', 'anlike', 'ailike', 'anilike'];
+// operators comparing array properties with a list of values
+const arrayOperators = ['contains', 'containedBy', 'overlaps'];
+
+/**
+ * Coerces the values of a comparison to the type of the compared property (as defined by the
+ * loopback model), e.g. values of query string filters which are always passed as strings.
+ */
+module.exports = class ValueCoercer {
+
+    /**
+     * @param {String} name of the compared property (used in error messages)
+     * @param {(Function|String|Array)} the loopback type of the property, e.g. Number, 'date' or
+     *          [String]
+     * @param {Object} options
+     * @param {RelativeDateResolver} options.dateResolver resolves relative dates like $now-30d
+     *          of date properties, defaults to a resolver using UTC
+     */
+    constructor(name, type, { dateResolver = new RelativeDateResolver() } = {}) {
+        this.name = name;
+        this.isArray = Array.isArray(type);
+        this.type = ValueCoercer.getTypeName(this.isArray ? type[0] : type);
+        this.dateResolver = dateResolver;
+    }
+
+    static getTypeName(type) {
+        if (!type) {
+            return 'any';
+        }
+        const typeName = typeof type === 'function' ? type.name : type;
+        return String(typeName).toLowerCase();
+    }
+
+    /**
+     * Coerces the values of all the operators of a normalized comparison, e.g. {gt: '1'}.
+     *
+     * @param {Object} the comparison
+     * @returns {Object} a copy of the comparison containing the coerced values
+     */
+    coerceComparison(comparison) {
+        const coerced = Object.assign({}, comparison);
+        Object
+            .keys(comparison)
+            .forEach((operator) => {
+                const value = comparison[operator];
+                if (valueOperators.includes(operator)) {
+                    coerced[operator] = this.coerce(value);
+                }
+                if (listOperators.includes(operator)) {
+                    coerced[operator] = this.coerceList(operator, value);
+                }
+                if (patternOperators.includes(operator)) {
+                    coerced[operator] = this.coercePattern(operator, value);
+                }
+                if (arrayOperators.includes(operator)) {
+                    // a single value is compared like a list containing the value
+                    const list = ValueCoercer.toArray(value) || [value];
+                    coerced[operator] = list.map(entry => this.coerce(entry));
+                }
+            });
+        return coerced;
+    }
+
+    coerceList(operator, value) {
+        const list = ValueCoercer.toArray(value);
+        if (!list || (operator === 'between' && list.length !== 2)) {
+            const expected = operator === 'between' ? 'an array of two values' : 'an array';
+            throw this.createError(value, `${operator} expects ${expected}`);
+        }
+        return list.map(entry => this.coerce(entry));
+    }
+
+    coercePattern(operator, value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        throw this.createError(value, `${operator} expects a string`);
+    }
+
+    /**
+     * Coerces a single value to the type of the property, null is kept as is. Values of array
+     * properties are coerced to the type of the array's items.
+     *
+     * @param value
+     * @returns {*} the coerced value
+     */
+    coerce(value) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+        if (this.isArray && Array.isArray(value)) {
+            return value.map(entry => this.coerce(entry));
+        }
+        switch (this.type) {
+            case 'number':
+                return this.coerceNumber(value);
+            case 'boolean':
+                return this.coerceBoolean(value);
+            case 'date':
+                return this.coerceDate(value);
+            case 'string':
+                return this.coerceString(value);
+            // json, objects and other types are passed to the database as they are
+            default:
+                return value;
+        }
+    }
+
+    coerceNumber(value) {
+        const isNumeric = typeof value === 'number'
+            || (typeof value === 'string' && value.trim() !== '');
+        const number = Number(value);
+        if (!isNumeric || !Number.isFinite(number)) {
+            throw this.createError(value);
+        }
+        return number;
+    }
+
+    coerceBoolean(value) {
+        const booleans = {
+            true: true,
+            false: false,
+            1: true,
+            0: false,
+        };
+        const key = String(value).toLowerCase();
+        const isConvertible = ['boolean', 'string', 'number'].includes(typeof value)
+            && Object.prototype.hasOwnProperty.call(booleans, key);
+        if (!isConvertible) {
+            throw this.createError(value);
+        }
+        return booleans[key];
+    }
+
+    coerceDate(value) {
+        if (RelativeDateResolver.isRelativeDate(value)) {
+            const date = this.dateResolver.resolve(value);
+            if (!date) {
+                throw this.createError(value, 'expected a date or a relative date like $now-30d');
+            }
+            return date;
+        }
+        const isConvertible = value instanceof Date
+            || typeof value === 'number'
+            || (typeof value === 'string' && value.trim() !== '');
+        const date = isConvertible ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+            throw this.createError(value);
+        }
+        return date;
+    }
+
+    coerceString(value) {
+        if (['string', 'number', 'boolean'].includes(typeof value)) {
+            return String(value);
+        }
+        throw this.createError(value);
+    }
+
+    createError(value, reason = `expected a value of type ${this.type}`) {
+        const message = `Invalid value ${JSON.stringify(value)} for property "${this.name}": ${reason}.`;
+        return new InvalidValueError(message);
+    }
+
+    /**
+     * Converts arrays and array like objects (e.g. {0: 'a', 1: 'b'} which query string parsers
+     * return for long lists like filter[where][title][inq][0]=a&...) to an array.
+     *
+     * @param value
+     * @returns {(Array|null)} null if the value can not be converted
+     */
+    static toArray(value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+        if (value === null || typeof value !== 'object') {
+            return null;
+        }
+        const keys = Object.keys(value);
+        const isSequential = keys.every((key, index) => key === String(index));
+        return isSequential ? keys.map(key => value[key]) : null;
+    }
+};
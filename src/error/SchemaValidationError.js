@@ -0,0 +1,3 @@
+const Microservice = require('@joinbox/loopback-microservice');
+
+module.exports = class SchemaValidationError extends Microservice.Error {};
@@ -1,6 +1,16 @@
 
+const InvalidValueError = require('./InvalidValueError');
+const MissingExtensionError = require('./MissingExtensionError');
+const SchemaResolutionError = require('./SchemaResolutionError');
+const SchemaValidationError = require('./SchemaValidationError');
+const UnknownOperatorError = require('./UnknownOperatorError');
 const UnknownPropertyError = require('./UnknownPropertyError');
 
 module.exports = {
+    InvalidValueError,
+    MissingExtensionError,
+    SchemaResolutionError,
+    SchemaValidationError,
+    UnknownOperatorError,
     UnknownPropertyError,
 };
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+
+const relationFilterComponent = require('../../index');
+const ExtensionDetector = require('../../src/ExtensionDetector');
+
+describe('The ExtensionDetector', () => {
+
+    it('resolves the extensions required by operators', () => {
+        expect(ExtensionDetector.getRequiredExtension('similar')).to.be.equal('pg_trgm');
+        expect(ExtensionDetector.getRequiredExtension('like')).to.be.equal(null);
+        expect(ExtensionDetector.getRequiredExtensions()).to.include('pg_trgm');
+    });
+
+    it('#detect: detects the missing extensions of a postgres data source', async function() {
+        const detector = new ExtensionDetector();
+        const { db } = this.service.app.datasources;
+
+        expect(detector.getMissingExtensions(db)).to.be.deep.equal([]);
+        const missingExtensions = await detector.detect(db);
+        // the test database is set up with all required extensions
+        expect(missingExtensions).to.be.deep.equal([]);
+        expect(detector.getMissingExtensions(db)).to.be.deep.equal([]);
+    });
+
+    it('#detect: does not check data sources of other connectors', async() => {
+        const detector = new ExtensionDetector();
+        const dataSource = { connector: { name: 'memory' } };
+
+        const missingExtensions = await detector.detect(dataSource);
+        expect(missingExtensions).to.be.deep.equal([]);
+    });
+
+    it('#detect: checks a data source once and retries failed checks', async() => {
+        const detector = new ExtensionDetector();
+        const results = [new Error('connection refused'), [{ extname: 'pg_trgm' }]];
+        let queries = 0;
+        const dataSource = {
+            connector: {
+                name: 'postgresql',
+                execute: (sql, cb) => {
+                    const result = results[queries];
+                    queries += 1;
+                    setImmediate(() => (result instanceof Error ? cb(result) : cb(null, result)));
+                },
+            },
+        };
+
+        const error = await detector.detect(dataSource).catch(err => err);
+        expect(error).to.have.property('message', 'connection refused');
+        const detections = [detector.detect(dataSource), detector.detect(dataSource)];
+        expect(await Promise.all(detections)).to.be.deep.equal([['unaccent'], ['unaccent']]);
+        expect(await detector.detect(dataSource)).to.be.deep.equal(['unaccent']);
+        expect(queries).to.be.equal(2);
+    });
+
+    it('rejects queries using missing extensions with 501 while the detection is pending', async function() {
+        const { Book } = this.models;
+        const { connector } = Book.dataSource;
+        // a data source whose (slow) check reports that no extension is installed
+        const dataSource = Object.create(Book.dataSource, {
+            connector: {
+                value: Object.create(connector, {
+                    execute: {
+                        value(sql, ...args) {
+                            if (!sql.includes('pg_extension')) {
+                                return connector.execute(sql, ...args);
+                            }
+                            const cb = args.pop();
+                            return setTimeout(() => cb(null, []), 50);
+                        },
+                    },
+                }),
+            },
+        });
+        const hooks = [];
+        const model = {
+            modelName: 'Book',
+            dataSource,
+            definition: Book.definition,
+            getIdName: () => Book.getIdName(),
+            observe: (name, hook) => hooks.push(hook),
+            beforeRemote: () => {},
+            afterRemote: () => {},
+        };
+        const app = { models: Object.assign({}, this.models, { Book: model }) };
+        relationFilterComponent(app, { preserveColumnCase: false });
+
+        const ctx = { query: { where: { title: { ailike: 'animal farm' } } }, options: {} };
+        const error = await new Promise(resolve => hooks[0](ctx, resolve));
+        expect(error).to.have.property('status', 501);
+    });
+
+    it('creates a message naming the unavailable operators', () => {
+        const message = ExtensionDetector.createMissingExtensionMessage('db', 'pg_trgm');
+        expect(message).to.include('pg_trgm').and.to.include('"db"').and.to.include('similar');
+    });
+
+});
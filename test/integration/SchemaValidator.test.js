@@ -0,0 +1,150 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const { before, describe, it } = require('mocha');
+
+const relationFilterComponent = require('../../index');
+const SchemaValidator = require('../../src/SchemaValidator');
+const { SchemaValidationError } = require('../../src/error');
+
+describe('The SchemaValidator', () => {
+
+    before(function() {
+        const { Book } = this.models;
+        // a copy of the book model whose relations use stale keys
+        this.createBrokenModel = relations => ({
+            modelName: 'Book',
+            dataSource: Book.dataSource,
+            definition: Book.definition,
+            getIdName: () => Book.getIdName(),
+            relations,
+            // the hooks registered by the component
+            observe: () => {},
+            beforeRemote: () => {},
+            afterRemote: () => {},
+        });
+        // boots the component for an app consisting of the passed models only
+        this.bootComponent = (models, settings, app = new EventEmitter()) => {
+            const appSettings = new Map();
+            Object.assign(app, {
+                models,
+                set: (key, value) => appSettings.set(key, value),
+            });
+            const validation = relationFilterComponent(app, settings);
+            expect(validation).to.be.equal(appSettings.get('relationFilterSchemaValidation'));
+            return validation;
+        };
+    });
+
+    it('#validate: finds no problems for the models of the test application', async function() {
+        const validator = new SchemaValidator();
+        const models = [
+            'Book',
+            'Author',
+            'Publisher',
+            'Page',
+            'Picture',
+            'Genre',
+            'Edition',
+            'Library',
+            'Translation',
+            'Narration',
+        ];
+
+        const problems = await Promise.all(models.map(name => validator
+            .validate(this.models[name], { preserveColumnCase: false })));
+        expect([].concat(...problems)).to.be.deep.equal([]);
+    });
+
+    it('#validate: reports all missing columns of the relations at once', async function() {
+        const { Book } = this.models;
+        const validator = new SchemaValidator();
+        const model = this.createBrokenModel({
+            publisher: Object.assign({}, Book.relations.publisher, { keyFrom: 'publisherIdentifier' }),
+            authors: Object.assign({}, Book.relations.authors, { keyThrough: 'writerId' }),
+            pages: Book.relations.pages,
+        });
+
+        const problems = await validator.validate(model, { preserveColumnCase: false });
+        expect(problems).to.have.length(2);
+        expect(problems[0]).to.include('Book.publisher').and.to.include('publisheridentifier');
+        expect(problems[1]).to.include('Book.authors').and.to.include('writerid');
+    });
+
+    it('#validate: reports missing tables and resolves the columns from the schema', async function() {
+        const validator = new SchemaValidator();
+        // the model is not migrated
+        const model = this.models.Book.dataSource.createModel('Magazine', { title: String });
+
+        const missingTable = await validator.validate(model, { preserveColumnCase: false });
+        expect(missingTable).to.have.length(1);
+        expect(missingTable[0]).to.include('public.magazine').and.to.include('does not exist');
+
+        // the columns of the test database are lowercased, they are resolved from the schema
+        const resolvedColumns = await validator
+            .validate(this.models.Book, { preserveColumnCase: true });
+        expect(resolvedColumns).to.be.deep.equal([]);
+    });
+
+    it('#validate: reports stale columns of properties', async function() {
+        const validator = new SchemaValidator();
+        // the model is mapped to the table of the books, the column of the title was renamed
+        const model = this.models.Book.dataSource.createModel('StaleBook', {
+            title: { type: String, postgresql: { columnName: 'book_title' } },
+            publishedAt: { type: Date },
+        }, {
+            postgresql: { schema: 'public', table: 'book' },
+        });
+
+        const problems = await validator.validate(model, { preserveColumnCase: false });
+        expect(problems).to.have.length(1);
+        expect(problems[0]).to.include('StaleBook').and.to.include('book_title');
+        expect(problems[0]).not.to.include('publishedat');
+    });
+
+    it('#validate: does not check models of other connectors', async() => {
+        const validator = new SchemaValidator();
+        const model = {
+            modelName: 'Memory',
+            dataSource: { connector: { name: 'memory' } },
+        };
+
+        const problems = await validator.validate(model);
+        expect(problems).to.be.deep.equal([]);
+    });
+
+    it('is run on boot if enabled and fails with all problems', async function() {
+        const { Book } = this.models;
+        const model = this.createBrokenModel({
+            publisher: Object.assign({}, Book.relations.publisher, { keyFrom: 'publisherIdentifier' }),
+        });
+        const settings = { enabled: true, preserveColumnCase: false };
+
+        expect(this.bootComponent({ Book: model }, settings)).to.be.equal(undefined);
+        const problems = await this.bootComponent(
+            { Book: model },
+            Object.assign({ validateSchema: 'warn' }, settings),
+        );
+        expect(problems).to.have.length(1);
+
+        // the boot waiting for the validation fails, no error is emitted on the app afterwards
+        const app = new EventEmitter();
+        const emittedErrors = [];
+        app.on('error', err => emittedErrors.push(err));
+        const validation = this.bootComponent(
+            { Book: model },
+            Object.assign({ validateSchema: 'fail' }, settings),
+            app,
+        );
+        const error = await validation.catch(err => err);
+        expect(error).to.be.instanceOf(SchemaValidationError);
+        expect(error.message).to.include('publisheridentifier');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(emittedErrors).to.be.deep.equal([]);
+    });
+
+    it('creates a message listing all problems', () => {
+        const message = SchemaValidator.createSchemaValidationMessage(['first', 'second']);
+        expect(message).to.include('2 problem(s)').and.to.include('first').and.to.include('second');
+    });
+
+});
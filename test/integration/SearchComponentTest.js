@@ -1,7 +1,9 @@
 const { expect } = require('chai');
 const { before, describe, it } = require('mocha');
 
+const ExtensionDetector = require('../../src/ExtensionDetector');
 const createAndLinkBookData = require('../support/fixtures/createAndLinkBookData');
+const { SchemaResolutionError } = require('../../src/error');
 
 describe('The loopback-search-component', () => {
 
@@ -136,6 +138,1248 @@ describe('The loopback-search-component', () => {
         expect(book1).to.be.an('object');
     });
 
+    it('the component does not drop entities without related entities in or queries', async function() {
+
+        const query = {
+            where: {
+                or: [
+                    {
+                        title: 'Harry Potter',
+                    },
+                    {
+                        authors: {
+                            lastName: 'Orwell',
+                        },
+                    },
+                ],
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(books).to.have.length(3);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'Animal Farm', 'Harry Potter']);
+    });
+
+    it('the component allows quantifying queries on related models', async function() {
+
+        const query = {
+            where: {
+                authors: {
+                    $none: {
+                        lastName: 'Orwell',
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['Harry Potter', 'The great gatsby', 'The hunger games']);
+    });
+
+    it('the component matches entities without related entities with the $every quantifier', async function() {
+
+        const query = {
+            where: {
+                authors: {
+                    $every: {
+                        lastName: 'Orwell',
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'Animal Farm', 'Harry Potter', 'The hunger games']);
+    });
+
+    it('the component does not match entities with related null values with the $every quantifier', async function() {
+
+        const orwell = await this.Author.findOne({ where: { lastName: 'Orwell' } });
+        const book = await this.Book.create({ title: 'Unpublished', publishedAt: null });
+        await orwell.books.add(book);
+        try {
+            const query = {
+                where: {
+                    books: {
+                        $every: {
+                            publishedAt: { gt: '1900-01-01' },
+                        },
+                    },
+                },
+            };
+
+            const authors = await this.apiClient.get('/authors')
+                .query({ filter: JSON.stringify(query) })
+                .then(result => result.body);
+
+            const lastNames = authors.map(({ lastName }) => lastName).sort();
+            expect(lastNames).to.deep.equal(['Collins', 'Fitzgerald', 'Rowling']);
+        } finally {
+            await orwell.books.remove(book);
+            await this.Book.destroyById(book.id);
+        }
+    });
+
+    it('the component allows combining quantifiers on the same relation', async function() {
+
+        const query = {
+            where: {
+                authors: {
+                    $some: {},
+                    $every: {
+                        lastName: 'Orwell',
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'Animal Farm']);
+    });
+
+    it('the component allows filtering by the number of related entities', async function() {
+
+        const query = {
+            where: {
+                pages: {
+                    $count: {
+                        gt: 2,
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(books).to.have.length(1);
+        expect(books[0]).to.have.property('title', '1984');
+    });
+
+    it('the component counts entities without related entities', async function() {
+
+        const query = {
+            where: {
+                pages: {
+                    $count: 0,
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['Harry Potter', 'The great gatsby', 'The hunger games']);
+    });
+
+    it('the component allows restricting the counted entities', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    $count: {
+                        gte: 2,
+                        where: {
+                            title: {
+                                inq: ['1984', 'Animal Farm', 'The great gatsby'],
+                            },
+                        },
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(authors).to.have.length(1);
+        expect(authors[0]).to.have.property('lastName', 'Orwell');
+    });
+
+    it('the component rejects invalid comparisons of counts', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    $count: {
+                        like: '2%',
+                    },
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/authors')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Invalid comparisons of counts should be rejected');
+    });
+
+    it('the component allows filtering by aggregates over properties of related entities', async function() {
+
+        const query = {
+            where: {
+                pages: {
+                    $avg: {
+                        property: 'number',
+                        lt: 1.5,
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(books).to.have.length(1);
+        expect(books[0]).to.have.property('title', 'Animal Farm');
+    });
+
+    it('the component allows combining aggregates over properties of related entities', async function() {
+
+        const query = {
+            where: {
+                pages: {
+                    $sum: {
+                        property: 'number',
+                        gte: 1,
+                    },
+                    $max: {
+                        property: 'number',
+                        '=': 3,
+                        where: {
+                            number: { lt: 10 },
+                        },
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(books).to.have.length(1);
+        expect(books[0]).to.have.property('title', '1984');
+    });
+
+    it('the component sums up the properties of no related entities to 0', async function() {
+
+        const query = {
+            where: {
+                pages: {
+                    $sum: {
+                        property: 'number',
+                        lt: 5,
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['Animal Farm', 'Harry Potter', 'The great gatsby', 'The hunger games']);
+    });
+
+    it('the component rejects aggregates over properties of unsupported types', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    $avg: {
+                        property: 'title',
+                        gt: 1,
+                    },
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/authors')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Aggregates over properties of unsupported types should be rejected');
+    });
+
+    it('the component allows negating queries over related models', async function() {
+
+        const query = {
+            where: {
+                not: {
+                    or: [
+                        {
+                            authors: {
+                                lastName: 'Orwell',
+                            },
+                        },
+                        {
+                            title: 'Harry Potter',
+                        },
+                    ],
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['The great gatsby', 'The hunger games']);
+    });
+
+    it('the component matches null values with negated queries', async function() {
+
+        const book = await this.Book.create({ title: 'Unpublished', publishedAt: null });
+        try {
+            const query = {
+                where: {
+                    not: {
+                        publishedAt: { gt: '1940-01-01' },
+                    },
+                },
+            };
+
+            const books = await this.apiClient.get('/books')
+                .query({ filter: JSON.stringify(query) })
+                .then(result => result.body);
+
+            const titles = books.map(({ title }) => title).sort();
+            expect(titles).to.deep.equal(['The great gatsby', 'Unpublished']);
+        } finally {
+            await this.Book.destroyById(book.id);
+        }
+    });
+
+    it('the component allows matching regular expressions on related models', async function() {
+
+        const query = {
+            where: {
+                authors: {
+                    lastName: {
+                        regexp: '/^orw/i',
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'Animal Farm']);
+    });
+
+    it('the component rejects regular expressions with unsupported flags', async function() {
+
+        const query = {
+            where: {
+                lastName: {
+                    regexp: '/^orw/g',
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/authors')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Regular expressions with unsupported flags should be rejected');
+    });
+
+    it('the component rejects regular expressions rejected by the database', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    title: {
+                        regexp: '/(/',
+                    },
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/authors')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            expect(err).to.have.property('status', 400);
+            return expect(err.response.body.error.message).to.include('regular expression');
+        }
+        throw new Error('Invalid regular expressions should be rejected');
+    });
+
+    it('the component allows restricting the distance to locations of related entities', async function() {
+
+        const query = {
+            where: {
+                publisher: {
+                    location: {
+                        // New York
+                        near: { lat: 40.7128, lng: -74.006 },
+                        maxDistance: 500,
+                        unit: 'kilometers',
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['Animal Farm', 'The great gatsby']);
+    });
+
+    it('the component orders the result by distance if no order is given', async function() {
+
+        const query = {
+            where: {
+                location: {
+                    // London
+                    near: '51.5074,-0.1278',
+                },
+            },
+        };
+
+        const publishers = await this.apiClient.get('/publishers')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const names = publishers.map(({ name }) => name);
+        expect(names).to.deep.equal(['Secker and Warburg', 'NAL', 'Scribner']);
+    });
+
+    it('the component orders the result by the distance of related entities', async function() {
+
+        const query = {
+            where: {
+                publisher: {
+                    location: {
+                        // London
+                        near: [51.5074, -0.1278],
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['1984', 'Animal Farm', 'The great gatsby']);
+    });
+
+    it('the component paginates results ordered by distance', async function() {
+
+        const query = {
+            where: {
+                publisher: {
+                    location: {
+                        // London
+                        near: [51.5074, -0.1278],
+                    },
+                },
+            },
+            limit: 1,
+            skip: 1,
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['Animal Farm']);
+    });
+
+    it('the component coerces values of query string filters on related models', async function() {
+
+        const books = await this.apiClient.get('/books')
+            .query('filter[where][pages][number]=3')
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['1984']);
+    });
+
+    it('the component rejects values which can not be coerced to the type of the property', async function() {
+
+        try {
+            await this.apiClient.get('/books')
+                .set('accept', 'application/json')
+                .query('filter[where][pages][number]=three');
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Values which can not be coerced should be rejected');
+    });
+
+    it('the component allows filtering by nested paths of json properties', async function() {
+
+        const books = await this.apiClient.get('/books')
+            .query('filter[where][metadata.genre]=dystopia')
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'The hunger games']);
+    });
+
+    it('the component compares numeric values of json properties as numbers', async function() {
+
+        const query = {
+            where: {
+                metadata: {
+                    year: { lt: 1946 },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['Animal Farm', 'The great gatsby']);
+    });
+
+    it('the component ignores values of other types when comparing json values as numbers', async function() {
+
+        const book = await this.Book.create({
+            title: 'Year unknown',
+            metadata: { year: 'unknown' },
+        });
+        try {
+            const query = {
+                where: {
+                    metadata: {
+                        year: { lt: 1946 },
+                    },
+                },
+            };
+
+            const books = await this.apiClient.get('/books')
+                .query({ filter: JSON.stringify(query) })
+                .then(result => result.body);
+
+            const titles = books.map(({ title }) => title).sort();
+            expect(titles).to.deep.equal(['Animal Farm', 'The great gatsby']);
+        } finally {
+            await this.Book.destroyById(book.id);
+        }
+    });
+
+    it('the component compares numeric strings of json properties as numbers', async function() {
+
+        // values of the query string are strings, 999 < 1925 but '999' > '1925'
+        const books = await this.apiClient.get('/books')
+            .query('filter[where][metadata.year][between][0]=999&filter[where][metadata.year][between][1]=1946')
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['Animal Farm', 'The great gatsby']);
+    });
+
+    it('the component allows filtering by nested paths of json properties of related models', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    'metadata.genre': {
+                        inq: ['satire', 'tragedy'],
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const lastNames = authors.map(({ lastName }) => lastName).sort();
+        expect(lastNames).to.deep.equal(['Fitzgerald', 'Orwell']);
+    });
+
+    it('the component allows filtering array properties', async function() {
+
+        const query = {
+            where: {
+                tags: {
+                    contains: ['classic', 'novel'],
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'The great gatsby']);
+    });
+
+    it('the component allows filtering array properties of related models', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    tags: {
+                        overlaps: ['satire', 'fantasy'],
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const lastNames = authors.map(({ lastName }) => lastName);
+        expect(lastNames).to.deep.equal(['Orwell']);
+    });
+
+    it('the component rejects array operators on properties which are not arrays', async function() {
+
+        const query = {
+            where: {
+                title: {
+                    containedBy: ['1984'],
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/books')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Array operators on properties which are not arrays should be rejected');
+    });
+
+    it('the component allows full text search on properties', async function() {
+
+        const query = {
+            where: {
+                title: {
+                    match: 'farm animals',
+                    language: 'english',
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['Animal Farm']);
+    });
+
+    it('the component allows full text search using the websearch syntax on related models', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    title: {
+                        match: '"great gatsby" or potter',
+                        language: 'english',
+                        websearch: true,
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const lastNames = authors.map(({ lastName }) => lastName);
+        expect(lastNames).to.deep.equal(['Fitzgerald']);
+    });
+
+    it('the component rejects unknown languages of full text searches', async function() {
+
+        const queries = [
+            ['/books', { title: { match: 'farm', language: 'klingon' } }],
+            ['/authors', { books: { title: { match: 'farm', language: 'klingon' } } }],
+        ];
+
+        const statuses = await Promise.all(queries.map(([path, where]) => this.apiClient.get(path)
+            .set('accept', 'application/json')
+            .query({ filter: JSON.stringify({ where }) })
+            .then(() => 200, err => err.status)));
+        expect(statuses).to.deep.equal([400, 400]);
+    });
+
+    it('the component orders the result by similarity if no order is given', async function() {
+
+        const query = {
+            where: {
+                title: {
+                    similar: 'harry potter and the hunger games',
+                    threshold: 0.1,
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['The hunger games', 'Harry Potter', 'The great gatsby']);
+    });
+
+    it('the component orders the result by the similarity of related entities', async function() {
+
+        const query = {
+            where: {
+                publisher: {
+                    name: {
+                        similar: 'secker warburg',
+                        threshold: 0.05,
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['1984', 'The great gatsby']);
+    });
+
+    it('the component allows accent insensitive comparisons', async function() {
+
+        const query = {
+            where: {
+                title: {
+                    ailike: 'hårry pöttér',
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['Harry Potter']);
+    });
+
+    it('the component rejects operators whose extension is missing with 501', async function() {
+
+        const query = {
+            where: {
+                title: {
+                    ailike: 'hårry pöttér',
+                },
+            },
+        };
+
+        const { getMissingExtensions } = ExtensionDetector.prototype;
+        ExtensionDetector.prototype.getMissingExtensions = () => ['unaccent'];
+        try {
+            await this.apiClient.get('/books')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 501);
+        } finally {
+            ExtensionDetector.prototype.getMissingExtensions = getMissingExtensions;
+        }
+        throw new Error('Operators whose extension is missing should be rejected');
+    });
+
+    it('the component allows accent insensitive comparisons on related models', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    title: {
+                        alike: '%Fàrm',
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const lastNames = authors.map(({ lastName }) => lastName);
+        expect(lastNames).to.deep.equal(['Orwell']);
+    });
+
+    it('the component allows comparing properties with properties of related models', async function() {
+
+        const query = {
+            where: {
+                publishedAt: {
+                    lt: { $ref: 'authors.deathDate' },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'Animal Farm', 'The great gatsby']);
+    });
+
+    it('the component rejects references to unknown properties', async function() {
+
+        const query = {
+            where: {
+                publishedAt: {
+                    lt: { $ref: 'authors.birthDate' },
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/books')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('References to unknown properties should be rejected');
+    });
+
+    it('the component resolves relative dates of the queried model', async function() {
+
+        const query = {
+            where: {
+                publishedAt: {
+                    between: ['1940-01-01', '$now'],
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'Animal Farm', 'Harry Potter', 'The hunger games']);
+    });
+
+    it('the component allows filtering over referencesMany relations', async function() {
+
+        const query = {
+            where: {
+                genres: {
+                    name: 'Dystopia',
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'The hunger games']);
+    });
+
+    it('the component allows filtering over embedsMany relations', async function() {
+
+        const query = {
+            where: {
+                reviews: {
+                    reviewer: 'Anna',
+                    rating: {
+                        gte: 4,
+                    },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['1984']);
+    });
+
+    it('the component allows filtering over embedsOne relations', async function() {
+
+        const query = {
+            where: {
+                headquarters: {
+                    city: 'New York',
+                },
+            },
+        };
+
+        const publishers = await this.apiClient.get('/publishers')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const names = publishers.map(({ name }) => name).sort();
+        expect(names).to.deep.equal(['NAL', 'Scribner']);
+    });
+
+    it('the component allows filtering over polymorphic belongsTo relations', async function() {
+
+        const query = {
+            where: {
+                imageable: {
+                    $type: 'Author',
+                    lastName: 'Orwell',
+                },
+            },
+        };
+
+        const pictures = await this.apiClient.get('/pictures')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(pictures).to.have.length(1);
+        expect(pictures[0]).to.include({ name: 'Portrait', imageableType: 'Author' });
+    });
+
+    it('the component respects the discriminator of polymorphic hasMany relations', async function() {
+
+        const query = {
+            where: {
+                pictures: {
+                    name: { like: '%e%' },
+                },
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        // the portraits of the authors do not belong to books with the same id
+        const titles = books.map(({ title }) => title).sort();
+        expect(titles).to.deep.equal(['1984', 'The great gatsby']);
+    });
+
+    it('the component applies the scope of relations', async function() {
+
+        const query = {
+            where: {
+                novels: {
+                    title: {
+                        inq: ['Animal Farm', 'The great gatsby'],
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        // Animal Farm is not tagged as novel
+        const lastNames = authors.map(({ lastName }) => lastName);
+        expect(lastNames).to.deep.equal(['Fitzgerald']);
+    });
+
+    it('the component applies the default scope of related models unless opted out', async function() {
+
+        const queryBooks = relationName => this.apiClient.get('/books')
+            .query({ filter: JSON.stringify({ where: { [relationName]: { name: 'Draft' } } }) })
+            .then(result => result.body.map(({ title }) => title));
+
+        expect(await queryBooks('pictures')).to.deep.equal([]);
+        expect(await queryBooks('allPictures')).to.deep.equal(['Animal Farm']);
+    });
+
+    it('the component queries the mapped tables and columns of models', async function() {
+
+        const editionQuery = {
+            where: {
+                book: {
+                    title: '1984',
+                },
+            },
+        };
+        const editions = await this.apiClient.get('/editions')
+            .query({ filter: JSON.stringify(editionQuery) })
+            .then(result => result.body);
+
+        const isbns = editions.map(({ isbn }) => isbn).sort();
+        expect(isbns).to.deep.equal(['9780141187761', '9780451524935']);
+
+        const bookQuery = {
+            where: {
+                editions: {
+                    isbn: {
+                        like: '%526342',
+                    },
+                },
+            },
+        };
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(bookQuery) })
+            .then(result => result.body);
+
+        expect(books.map(({ title }) => title)).to.deep.equal(['Animal Farm']);
+    });
+
+    it('the component supports through relations referencing natural keys', async function() {
+
+        const queryLibraries = async(where) => {
+            const libraries = await this.apiClient.get('/libraries')
+                .query({ filter: JSON.stringify({ where }) })
+                .then(result => result.body);
+            return libraries.map(({ name }) => name).sort();
+        };
+        const animalFarm = await this.Book.findOne({ where: { title: 'Animal Farm' } });
+
+        expect(await queryLibraries({ editions: { bookId: animalFarm.id } }))
+            .to.deep.equal(['City Library']);
+        expect(await queryLibraries({ editions: { isbn: { like: '978%' } } }))
+            .to.deep.equal(['City Library', 'University Library']);
+
+        const editions = await this.apiClient.get('/editions')
+            .query({ filter: JSON.stringify({ where: { libraries: { name: 'University Library' } } }) })
+            .then(result => result.body);
+        expect(editions.map(({ isbn }) => isbn)).to.deep.equal(['9780141187761']);
+    });
+
+    it('the component supports unidirectional through relations with a custom keyThrough', async function() {
+
+        const query = {
+            where: {
+                featuredBooks: {
+                    title: '1984',
+                },
+            },
+        };
+        const libraries = await this.apiClient.get('/libraries')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(libraries.map(({ name }) => name)).to.deep.equal(['University Library']);
+    });
+
+    it('the component restricts models with composite ids on all id properties', async function() {
+
+        const query = {
+            where: {
+                narrations: {
+                    narrator: 'Anna',
+                },
+            },
+        };
+        const translations = await this.apiClient.get('/translations')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        // the french translation of the same book is not narrated by Anna
+        expect(translations.map(({ translatedTitle }) => translatedTitle))
+            .to.deep.equal(['Neunzehnhundertvierundachtzig']);
+
+        const narrations = await this.apiClient.get('/narrations')
+            .query({ filter: JSON.stringify({ where: { translation: { language: 'fr' } } }) })
+            .then(result => result.body);
+        expect(narrations.map(({ narrator }) => narrator)).to.deep.equal(['Carla']);
+    });
+
+    it('the component orders models with composite ids by their ranking', async function() {
+
+        const query = {
+            where: {
+                translatedTitle: {
+                    similar: 'farm der tiere',
+                    threshold: 0.05,
+                },
+            },
+        };
+        const translations = await this.apiClient.get('/translations')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        expect(translations[0]).to.include({ translatedTitle: 'Farm der Tiere', language: 'de' });
+    });
+
+    it('the component resolves relative dates of related models', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    publishedAt: {
+                        between: ['1940-01-01', '$today'],
+                    },
+                },
+            },
+        };
+
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const lastNames = authors.map(({ lastName }) => lastName);
+        expect(lastNames).to.deep.equal(['Orwell']);
+    });
+
+    // the dates are bound as parameters, the local time of the server (see the test:timezone
+    // script) does not affect the comparisons
+    it('the component compares dates independently of the timezone of the server', async function() {
+
+        const query = {
+            where: {
+                publishedAt: '1949-06-08T00:00:00.000Z',
+            },
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+        const authors = await this.apiClient.get('/authors')
+            .query({ filter: JSON.stringify({ where: { books: query.where } }) })
+            .then(result => result.body);
+
+        expect(books.map(({ title }) => title)).to.deep.equal(['1984']);
+        expect(authors.map(({ lastName }) => lastName)).to.deep.equal(['Orwell']);
+    });
+
+    it('the component resolves relative dates in the configured timezone independently of the ' +
+        'timezone of the server', async function() {
+        const startOfDay = new Date();
+        startOfDay.setUTCHours(0, 0, 0, 0);
+        // half an hour after the start of the day in UTC (the configured timezone)
+        const publishedAt = new Date(startOfDay.getTime() + (30 * 60 * 1000));
+        const book = await this.Book.create({ title: 'Published today', publishedAt });
+
+        const query = {
+            where: {
+                title: 'Published today',
+                publishedAt: {
+                    gte: '$today',
+                },
+            },
+        };
+
+        try {
+            const books = await this.apiClient.get('/books')
+                .query({ filter: JSON.stringify(query) })
+                .then(result => result.body);
+
+            expect(books.map(({ id }) => id)).to.deep.equal([book.id]);
+        } finally {
+            await this.Book.destroyById(book.id);
+        }
+    });
+
+    it('the component rejects invalid relative dates', async function() {
+
+        const query = {
+            where: {
+                books: {
+                    publishedAt: {
+                        gte: '$yesterday',
+                    },
+                },
+            },
+        };
+
+        try {
+            await this.apiClient.get('/authors')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Invalid relative dates should be rejected');
+    });
+
+    it('the component allows searching the configured fields of the model and related models', async function() {
+
+        const query = {
+            search: 'orwell FARM',
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['Animal Farm']);
+    });
+
+    it('the component combines the search with the where query', async function() {
+
+        const query = {
+            where: {
+                pages: {
+                    number: 2,
+                },
+            },
+            search: 'George',
+        };
+
+        const books = await this.apiClient.get('/books')
+            .query({ filter: JSON.stringify(query) })
+            .then(result => result.body);
+
+        const titles = books.map(({ title }) => title);
+        expect(titles).to.deep.equal(['1984']);
+    });
+
+    it('the component rejects searches on models without search fields', async function() {
+
+        try {
+            await this.apiClient.get('/authors')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify({ search: 'orwell' }) });
+        } catch (err) {
+            return expect(err).to.have.property('status', 400);
+        }
+        throw new Error('Searches on models without search fields should be rejected');
+    });
+
     it('the component should not fail if no models match the query', async function() {
 
         const query = {
@@ -286,7 +1530,9 @@ describe('The loopback-search-component', () => {
             .query({ filter: JSON.stringify(query) })
             .then(result => result.body);
 
-        expect(books).to.have.length(5);
+        // properties and or queries on the same level are combined using and
+        expect(books).to.have.length(1);
+        expect(books[0]).to.have.property('id', book3.id);
     });
 
     it('the component properly transforms not in operators in and queries', async function() {
@@ -477,41 +1723,97 @@ describe('The loopback-search-component', () => {
             'only work because it is set to false (defaults to true) since Loopback`s automigrate' +
             'converts all column names to lowercase', () => {});
 
-        it('preserveColumnCase: Can be set in the "searchConfig" section of a model config to override' +
-            'the global setting.', async function() {
+        it('preserveColumnCase: Is only the fallback if the column can not be resolved from the' +
+            'database schema (e.g. the lowercased columns of Loopback`s automigrate)', async function() {
+            const book = await this.Book.findOne({ where: { title: 'Animal Farm' } });
             const query = {
                 where: {
-                    bookId: 1,
+                    bookId: book.id,
                 },
             };
-            try {
-                await this.apiClient.get('/pages')
-                    .set('accept', 'application/json')
-                    .query({ filter: JSON.stringify(query) })
-                    .then(result => result.body);
-            } catch (error) {
-                return;
-            }
-            throw new Error('Querying a camel cased property on an autogenerated model without setting' +
-                'the preserveColumnCase option to false should fail');
+            const pages = await this.apiClient.get('/pages')
+                .set('accept', 'application/json')
+                .query({ filter: JSON.stringify(query) })
+                .then(result => result.body);
+
+            expect(pages).to.have.length.above(0);
+            pages.forEach(page => expect(page.bookId).to.be.equal(book.id));
         });
 
-        it('preserveColumnCase: Can be set in the "searchConfig" section of a model config to override' +
-            'the global setting (check the error by invoking the internal method).', async function() {
-            const query = {
+        it('preserveColumnCase: Is only the fallback if the column can not be resolved from the' +
+            'database schema (invoking the internal method)', async function() {
+            const book = await this.Book.findOne({ where: { title: 'Animal Farm' } });
+            const pages = await this.Page.find({ where: { bookId: book.id } });
+
+            expect(pages).to.have.length.above(0);
+            pages.forEach(page => expect(page.bookId).to.be.equal(book.id));
+        });
+
+        it('schemaResolver: Resolves the schema of the tables of related models per invocation ' +
+            '(see component-config.test.js), tables of different schemas are joined', async function() {
+            const { connector } = this.Book.dataSource;
+            const execute = sql => new Promise((resolve, reject) => connector
+                .execute(sql, err => (err ? reject(err) : resolve())));
+            const publisher = await this.Publisher.findOne({ where: { name: 'Secker and Warburg' } });
+            // the tenant's publishers are created after the schema was inspected, their columns
+            // are not lowercased
+            await execute(`
+                create schema tenant_a;
+                create table tenant_a.publisher (id integer primary key, "Name" text);
+                insert into tenant_a.publisher values (${publisher.id}, 'Tenant Publisher');
+            `);
+            const filter = {
                 where: {
-                    bookId: 1,
+                    publisher: {
+                        name: 'Tenant Publisher',
+                    },
                 },
             };
 
             try {
-                await this.Page.find(query);
-            } catch (err) {
-                expect(err.message).to.contain('page.bookId');
-                return;
+                const tenantBooks = await this.Book
+                    .find(filter, { schemas: { Publisher: 'tenant_a' } });
+                expect(tenantBooks.map(({ title }) => title)).to.deep.equal(['1984']);
+            } finally {
+                // automigrate does not distinguish the tables of different schemas
+                await execute('drop schema tenant_a cascade');
+            }
+        });
+
+        it('schemaResolver: Resolves the schema of the queried model, loopback loads the ' +
+            'entities from the table of the resolved schema', async function() {
+            const { connector } = this.Book.dataSource;
+            const execute = sql => new Promise((resolve, reject) => connector
+                .execute(sql, err => (err ? reject(err) : resolve())));
+            const book = await this.Book.findOne({ where: { title: '1984' } });
+            // the tenant's book has the id of a book of the public schema
+            await execute(`
+                create schema tenant_a;
+                create table tenant_a.book (like public.book);
+                insert into tenant_a.book (id, title) values (${book.id}, 'Tenant Book');
+            `);
+            const options = { schemas: { Book: 'tenant_a' } };
+
+            try {
+                const tenantBooks = await this.Book
+                    .find({ where: { title: { like: '%Book' } } }, options);
+                expect(tenantBooks.map(({ title }) => title)).to.deep.equal(['Tenant Book']);
+                const publicBooks = await this.Book.find({ where: { title: '1984' } }, options);
+                expect(publicBooks).to.have.length(0);
+                const count = await this.Book.count({ title: 'Tenant Book' }, options);
+                expect(count).to.be.equal(1);
+                const foundBook = await this.Book.findById(book.id, {}, options);
+                expect(foundBook).to.have.property('title', 'Tenant Book');
+            } finally {
+                await execute('drop schema tenant_a cascade');
             }
-            throw new Error('Querying a camel cased property on an autogenerated model without setting' +
-                'the preserveColumnCase option to false should fail');
+        });
+
+        it('schemaResolver: Rejects invalid schemas returned by the resolver', async function() {
+            const error = await this.Book
+                .find({ where: { title: '1984' } }, { schemas: { Book: 42 } })
+                .catch(err => err);
+            expect(error).to.be.instanceOf(SchemaResolutionError);
         });
     });
 });
@@ -1,7 +1,16 @@
 const { expect } = require('chai');
-const { beforeEach, describe, it } = require('mocha');
+const {
+    after, before, beforeEach, describe, it,
+} = require('mocha');
 
+const SchemaInspector = require('../../src/SchemaInspector');
 const SearchQueryBuilder = require('../../src/SearchQueryBuilder');
+const {
+    InvalidValueError,
+    MissingExtensionError,
+    UnknownOperatorError,
+    UnknownPropertyError,
+} = require('../../src/error');
 
 describe('The SearchQueryBuilder', function() {
 
@@ -14,7 +23,7 @@ describe('The SearchQueryBuilder', function() {
         const { message } = testCase;
 
         it(message, function() {
-            const filter = { where: testCase.where };
+            const filter = Object.assign({ where: testCase.where }, testCase.filter);
             const expectedResult = testCase.result;
 
             const query = this.builder.buildQuery(model, filter);
@@ -42,19 +51,19 @@ describe('The SearchQueryBuilder', function() {
         {
             message: 'creates a base query if there are no where clauses',
             where: {},
-            result: 'select "book"."id" from "public"."book" as "book" group by "book"."id"',
+            result: 'select "book"."id" from "public"."book" as "book"',
         },
         {
-            message: 'joins belongsTo relations and applies where clauses',
+            message: 'creates exists subqueries for belongsTo relations and applies where clauses',
             where: {
                 publisher: {
                     id: 1,
                 },
             },
             result: `select "book"."id" from "public"."book" as "book"
-                        inner join "public"."publisher" as "book_publisher" on "book"."publisherid" = "book_publisher"."id"
-                        where (("book_publisher"."id" = 1))
-                     group by "book"."id"`,
+                        where (exists (select 1 from "public"."publisher" as "book_publisher"
+                            where "book_publisher"."id" = "book"."publisherid"
+                            and ("book_publisher"."id" = 1)))`,
         },
         {
             message: 'correctly aliases different relations to the same model',
@@ -70,18 +79,20 @@ describe('The SearchQueryBuilder', function() {
                 },
             },
             result: `select "book"."id" from "public"."book" as "book"
-                        inner join "public"."authorbook" as "book_authorbook_authors" on "book"."id" = "book_authorbook_authors"."bookid"
-                        inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
-                        inner join "public"."authorbook" as "book_authorbook_coauthors" on "book"."id" = "book_authorbook_coauthors"."bookid"
-                        inner join "public"."author" as "book_coauthors" on "book_authorbook_coauthors"."authorid" = "book_coauthors"."id"
-                        inner join "public"."author" as "book_mainauthor" on "book"."mainauthorid" = "book_mainauthor"."id"
-                    where (("book_authors"."firstname" = 'Michael')
-                    and ("book_coauthors"."firstname" = 'Michael')
-                    and ("book_mainauthor"."firstname" = 'Michael'))
-                    group by "book"."id"`,
+                    where (exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                            inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                            where "book_authorbook_authors"."bookid" = "book"."id"
+                            and ("book_authors"."firstname" = 'Michael'))
+                    and exists (select 1 from "public"."authorbook" as "book_authorbook_coauthors"
+                            inner join "public"."author" as "book_coauthors" on "book_authorbook_coauthors"."authorid" = "book_coauthors"."id"
+                            where "book_authorbook_coauthors"."bookid" = "book"."id"
+                            and ("book_coauthors"."firstname" = 'Michael'))
+                    and exists (select 1 from "public"."author" as "book_mainauthor"
+                            where "book_mainauthor"."id" = "book"."mainauthorid"
+                            and ("book_mainauthor"."firstname" = 'Michael')))`,
         },
         {
-            message: 'appends join clauses for the queried relations and filters unknown properties',
+            message: 'appends exists clauses for the queried relations and filters unknown properties',
             where: {
                 publisher: {
                     id: 1,
@@ -95,17 +106,18 @@ describe('The SearchQueryBuilder', function() {
                 },
             },
             result: `select "book"."id" from "public"."book" as "book"
-                        inner join "public"."publisher" as "book_publisher" on "book"."publisherid" = "book_publisher"."id"
-                        inner join "public"."authorbook" as "book_authorbook_authors" on "book"."id" = "book_authorbook_authors"."bookid"
-                        inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
-                    where (("book_publisher"."id" = 1)
+                    where (exists (select 1 from "public"."publisher" as "book_publisher"
+                            where "book_publisher"."id" = "book"."publisherid"
+                            and ("book_publisher"."id" = 1))
                     and "book"."title" = 'wow'
-                    and ("book_authors"."firstname" = 'Michael'))
-                    group by "book"."id"`,
+                    and exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                            inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                            where "book_authorbook_authors"."bookid" = "book"."id"
+                            and ("book_authors"."firstname" = 'Michael')))`,
 
         },
         {
-            message: 'appends join clauses for all the queried relations',
+            message: 'appends exists clauses for all the queried relations',
             where: {
                 authors: {
                     and: [
@@ -138,17 +150,18 @@ describe('The SearchQueryBuilder', function() {
                 },
             },
             result: `select "book"."id" from "public"."book" as "book"
-                        inner join "public"."authorbook" as "book_authorbook_authors" on "book"."id" = "book_authorbook_authors"."bookid"
-                        inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
-                        inner join "public"."page" as "book_pages" on "book"."id" = "book_pages"."bookid"
-                    where (("book_authors"."firstname" like 'Michael'
-                            and "book_authors"."lastname" like 'R%')
-                        and ("book_pages"."number" > 2
-                            and "book_pages"."number" is not null))
-                    group by "book"."id"`,
+                    where (exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                            inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                            where "book_authorbook_authors"."bookid" = "book"."id"
+                            and ("book_authors"."firstname" like 'Michael'
+                                and "book_authors"."lastname" like 'R%'))
+                        and exists (select 1 from "public"."page" as "book_pages"
+                            where "book_pages"."bookid" = "book"."id"
+                            and ("book_pages"."number" > 2
+                                and "book_pages"."number" is not null)))`,
         },
         {
-            message: 'aliases join clauses with through models',
+            message: 'joins the target model to the through model within the subquery',
             where: {
                 authors: {
                     and: [
@@ -161,10 +174,10 @@ describe('The SearchQueryBuilder', function() {
                 },
             },
             result: `select "book"."id" from "public"."book" as "book"
-                        inner join "public"."authorbook" as "book_authorbook_authors" on "book"."id" = "book_authorbook_authors"."bookid"
-                        inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
-                    where (("book_authors"."firstname" like 'Michael'))
-                    group by "book"."id"`,
+                    where (exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                            inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                            where "book_authorbook_authors"."bookid" = "book"."id"
+                            and ("book_authors"."firstname" like 'Michael')))`,
         },
         {
             message: 'properly respects simple or clauses',
@@ -178,9 +191,8 @@ describe('The SearchQueryBuilder', function() {
                     },
                 ],
             },
-            result: `select "book"."id" from "public"."book" as "book" 
-                        where ("book"."title" = 'Animal Farm' or "book"."title" = '1984') 
-                    group by "book"."id"`,
+            result: `select "book"."id" from "public"."book" as "book"
+                        where ("book"."title" = 'Animal Farm' or "book"."title" = '1984')`,
         },
         {
             message: 'properly respects or clauses',
@@ -197,14 +209,14 @@ describe('The SearchQueryBuilder', function() {
                 ],
             },
             result: `select "book"."id" from "public"."book" as "book"
-                        inner join "public"."authorbook" as "book_authorbook_authors" on "book"."id" = "book_authorbook_authors"."bookid"
-                        inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
-                    where ("book"."title" = 'Animal Farm' 
-                        or ("book_authors"."firstname" = 'Scott')) 
-                    group by "book"."id"`,
+                    where ("book"."title" = 'Animal Farm'
+                        or exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                            inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                            where "book_authorbook_authors"."bookid" = "book"."id"
+                            and ("book_authors"."firstname" = 'Scott')))`,
         },
         {
-            message: 'joins multiple relations 1',
+            message: 'nests subqueries for multiple relations 1',
             model: 'Author',
             where: {
                 and: [
@@ -232,14 +244,92 @@ describe('The SearchQueryBuilder', function() {
                     },
                 ],
             },
-            result: `select "author"."id" from "public"."author" as "author" 
-                inner join "public"."authorbook" as "author_authorbook_books" 
-                    on "author"."id" = "author_authorbook_books"."authorid" 
-                inner join "public"."book" as "author_books" 
-                    on "author_authorbook_books"."bookid" = "author_books"."id" 
-                inner join "public"."publisher" as "book_publisher" 
-                    on "author_books"."publisherid" = "book_publisher"."id" 
-            where ("author"."lastname" like 'Orw%' and (("book_publisher"."name" = 'NAL'))) group by "author"."id"`,
+            result: `select "author"."id" from "public"."author" as "author"
+            where ("author"."lastname" like 'Orw%'
+                and exists (select 1 from "public"."authorbook" as "author_authorbook_books"
+                    inner join "public"."book" as "author_books"
+                        on "author_authorbook_books"."bookid" = "author_books"."id"
+                    where "author_authorbook_books"."authorid" = "author"."id"
+                    and (exists (select 1 from "public"."publisher" as "book_publisher"
+                        where "book_publisher"."id" = "author_books"."publisherid"
+                        and ("book_publisher"."name" = 'NAL')))))`,
+        },
+        {
+            message: 'combines properties and or clauses using and',
+            where: {
+                title: 'Animal Farm',
+                or: [
+                    {
+                        publisher: {
+                            name: 'NAL',
+                        },
+                    },
+                    {
+                        pages: {
+                            number: 1,
+                        },
+                    },
+                ],
+            },
+            result: `select "book"."id" from "public"."book" as "book"
+                    where ("book"."title" = 'Animal Farm')
+                    and (exists (select 1 from "public"."publisher" as "book_publisher"
+                            where "book_publisher"."id" = "book"."publisherid"
+                            and ("book_publisher"."name" = 'NAL'))
+                        or exists (select 1 from "public"."page" as "book_pages"
+                            where "book_pages"."bookid" = "book"."id"
+                            and ("book_pages"."number" = 1)))`,
+        },
+        {
+            message: 'preserves the conjunction of multiple properties in or clauses',
+            where: {
+                or: [
+                    {
+                        title: 'Animal Farm',
+                        publisher: {
+                            name: 'NAL',
+                        },
+                    },
+                    {
+                        title: '1984',
+                    },
+                ],
+            },
+            result: `select "book"."id" from "public"."book" as "book"
+                    where (("book"."title" = 'Animal Farm'
+                        and exists (select 1 from "public"."publisher" as "book_publisher"
+                            where "book_publisher"."id" = "book"."publisherid"
+                            and ("book_publisher"."name" = 'NAL')))
+                    or "book"."title" = '1984')`,
+        },
+        {
+            message: 'respects or clauses nested in and clauses',
+            where: {
+                and: [
+                    {
+                        title: 'Animal Farm',
+                    },
+                    {
+                        or: [
+                            {
+                                title: '1984',
+                            },
+                            {
+                                authors: {
+                                    lastName: 'Orwell',
+                                },
+                            },
+                        ],
+                    },
+                ],
+            },
+            result: `select "book"."id" from "public"."book" as "book"
+                    where ("book"."title" = 'Animal Farm'
+                    and ("book"."title" = '1984'
+                        or exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                            inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                            where "book_authorbook_authors"."bookid" = "book"."id"
+                            and ("book_authors"."lastname" = 'Orwell'))))`,
         },
     ];
 
@@ -248,7 +338,7 @@ describe('The SearchQueryBuilder', function() {
     describe('supports comparison operators on the root level', function() {
         function createResult(comparator, value = 1, column = '"book"."id"') {
             return `select "book"."id" from "public"."book" as "book"
-                        where (${column} ${comparator} ${value}) group by "book"."id"`;
+                        where (${column} ${comparator} ${value})`;
         }
         const comparisonCases = [
             {
@@ -326,6 +416,41 @@ describe('The SearchQueryBuilder', function() {
                 where: { id: { nin: [1, 10, 100] } },
                 result: createResult('not in', '(1, 10, 100)'),
             },
+            {
+                message: 'regexp (string)',
+                where: { title: { regexp: '^Animal' } },
+                result: createResult('~', "'^Animal'", '"book"."title"'),
+            },
+            {
+                message: 'regexp (string with flags)',
+                where: { title: { regexp: '/^animal/i' } },
+                result: createResult('~*', "'^animal'", '"book"."title"'),
+            },
+            {
+                message: 'regexp (RegExp)',
+                where: { title: { regexp: /^Animal F/ } },
+                result: createResult('~', "'^Animal F'", '"book"."title"'),
+            },
+            {
+                message: 'regexp (RegExp without operator)',
+                where: { title: /farm$/i },
+                result: createResult('~*', "'farm$'", '"book"."title"'),
+            },
+            {
+                message: 'keeps falsy values',
+                where: { title: '' },
+                result: createResult('=', "''", '"book"."title"'),
+            },
+            {
+                message: 'coerces values to the type of the property',
+                where: { id: { gte: '0' } },
+                result: createResult('>=', 0),
+            },
+            {
+                message: 'coerces list values to the type of the property',
+                where: { id: { inq: ['1', '2'] } },
+                result: createResult('in', '(1, 2)'),
+            },
         ];
 
         runCases(comparisonCases, this);
@@ -342,68 +467,1258 @@ describe('The SearchQueryBuilder', function() {
             }).to.throw();
         });
 
-        it.skip('regexp: (not supported yet)', function() {
-            runCase.call(this, {
-                where: { id: { regexp: [0, 5, 10] } },
-                message: 'regexp',
-                result: '',
+        it('regexp: throws an error for unsupported flags', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        title: { regexp: '/^animal/g' },
+                    },
+                });
+            }).to.throw(InvalidValueError);
+        });
+
+    });
+
+    describe('supports nested paths of json properties', function() {
+
+        runCases([
+            {
+                message: 'json: compares text values of paths given as key',
+                where: { 'metadata.genre': 'dystopia' },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (("book"."metadata"::jsonb ->> 'genre') = 'dystopia')`,
+            },
+            {
+                message: 'json: casts numeric values of nested paths',
+                where: {
+                    metadata: {
+                        series: { volume: { between: [1, 3] } },
+                        year: { lt: 1950 },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((case when jsonb_typeof("book"."metadata"::jsonb -> 'series' -> 'volume') = 'number'
+                            then ("book"."metadata"::jsonb -> 'series' ->> 'volume')::numeric end) between 1 and 3
+                            and (case when jsonb_typeof("book"."metadata"::jsonb -> 'year') = 'number'
+                            then ("book"."metadata"::jsonb ->> 'year')::numeric end) < 1950)`,
+            },
+            {
+                message: 'json: compares numeric strings of range operators as numbers',
+                where: {
+                    'metadata.year': { between: ['900', '1950.5'] },
+                    'metadata.genre': { lt: '1950' },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((case when jsonb_typeof("book"."metadata"::jsonb -> 'year') = 'number'
+                            then ("book"."metadata"::jsonb ->> 'year')::numeric end) between 900 and 1950.5
+                            and (case when jsonb_typeof("book"."metadata"::jsonb -> 'genre') = 'number'
+                            then ("book"."metadata"::jsonb ->> 'genre')::numeric end) < 1950)`,
+            },
+            {
+                message: 'json: accesses array elements by index',
+                where: { 'metadata.tags.0': { inq: ['classic', 'novel'] } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (("book"."metadata"::jsonb -> 'tags' ->> 0) in ('classic', 'novel'))`,
+            },
+            {
+                message: 'json: queries paths of related models',
+                model: 'Author',
+                where: { books: { 'metadata.genre': { neq: null } } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (exists (select 1 from "public"."authorbook" as "author_authorbook_books"
+                                inner join "public"."book" as "author_books" on "author_authorbook_books"."bookid" = "author_books"."id"
+                                where "author_authorbook_books"."authorid" = "author"."id"
+                                and (("author_books"."metadata"::jsonb ->> 'genre') is not null)))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports array operators on array properties', function() {
+
+        runCases([
+            {
+                message: 'contains',
+                where: { tags: { contains: ['classic', 'novel'] } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ("book"."tags"::jsonb @> '["classic","novel"]'::jsonb)`,
+            },
+            {
+                message: 'containedBy (single value)',
+                where: { tags: { containedBy: 'classic' } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ("book"."tags"::jsonb <@ '["classic"]'::jsonb)`,
+            },
+            {
+                message: 'overlaps on related models',
+                model: 'Author',
+                where: { books: { tags: { overlaps: ['satire', 'fantasy'] } } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (exists (select 1 from "public"."authorbook" as "author_authorbook_books"
+                                inner join "public"."book" as "author_books" on "author_authorbook_books"."bookid" = "author_books"."id"
+                                where "author_authorbook_books"."authorid" = "author"."id"
+                                and ("author_books"."tags"::jsonb @> any(ARRAY['["satire"]', '["fantasy"]']::jsonb[]))))`,
+            },
+        ], this);
+
+        describe('on native postgres arrays', function() {
+
+            before('declare the tags as native array', function() {
+                this.models.Book.definition.properties.tags.postgresql = { dataType: 'text[]' };
+            });
+
+            after('restore the tags definition', function() {
+                delete this.models.Book.definition.properties.tags.postgresql;
+            });
+
+            runCases([
+                {
+                    message: 'contains',
+                    where: { tags: { contains: ['classic', 'novel'] } },
+                    result: `select "book"."id" from "public"."book" as "book"
+                                where ("book"."tags" @> ARRAY['classic', 'novel']::text[])`,
+                },
+                {
+                    message: 'containedBy',
+                    where: { tags: { containedBy: ['classic'] } },
+                    result: `select "book"."id" from "public"."book" as "book"
+                                where ("book"."tags" <@ ARRAY['classic']::text[])`,
+                },
+                {
+                    message: 'overlaps',
+                    where: { tags: { overlaps: ['satire', 'fantasy'] } },
+                    result: `select "book"."id" from "public"."book" as "book"
+                                where ("book"."tags" && ARRAY['satire', 'fantasy']::text[])`,
+                },
+            ], this);
+
+        });
+
+        it('throws an error for properties which are not arrays', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        title: { contains: ['1984'] },
+                    },
+                });
+            }).to.throw(UnknownOperatorError);
+        });
+
+    });
+
+    describe('supports full text search on string properties', function() {
+
+        runCases([
+            {
+                message: 'match',
+                where: { title: { match: 'animal farm' } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (to_tsvector("book"."title") @@ plainto_tsquery('animal farm'))`,
+            },
+            {
+                message: 'match with language and websearch syntax',
+                where: { title: { match: '"animal farm" or gatsby', language: 'english', websearch: true } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (to_tsvector('english'::regconfig, "book"."title")
+                            @@ websearch_to_tsquery('english'::regconfig, '"animal farm" or gatsby'))`,
+            },
+            {
+                message: 'match on related models',
+                model: 'Author',
+                where: { books: { title: { match: 'gatsby', language: 'english' } } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (exists (select 1 from "public"."authorbook" as "author_authorbook_books"
+                                inner join "public"."book" as "author_books" on "author_authorbook_books"."bookid" = "author_books"."id"
+                                where "author_authorbook_books"."authorid" = "author"."id"
+                                and (to_tsvector('english'::regconfig, "author_books"."title")
+                                @@ plainto_tsquery('english'::regconfig, 'gatsby'))))`,
+            },
+        ], this);
+
+        it('throws an error for properties which are not strings', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        pages: { number: { match: '1' } },
+                    },
+                });
+            }).to.throw(UnknownOperatorError);
+        });
+
+        it('throws an error for invalid languages', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        title: { match: 'farm', language: "english'); drop table book; --" },
+                    },
+                });
+            }).to.throw(InvalidValueError);
+        });
+
+    });
+
+    describe('supports free text search over the configured search fields', () => {
+
+        beforeEach('setup query builder with search fields', function() {
+            this.builder = new SearchQueryBuilder(this.models, {
+                preserveColumnCase: false,
+                searchFields: ['title', 'authors.lastName'],
             });
         });
 
-        it.skip('near: (not supported yet)', function() {
-            runCase.call(this, {
-                where: { id: { near: [0, 5, 10] } },
-                message: 'near',
-                result: '',
+        it('search: every token has to match one of the search fields', function() {
+            const query = this.builder.buildQuery('Book', {
+                where: { id: { gt: 1 } },
+                search: ' orwell  100%_farm ',
             });
+            const expected = `select "book"."id" from "public"."book" as "book"
+                where ("book"."id" > 1
+                and ("book"."title" ilike '%orwell%'
+                    or exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                        inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                        where "book_authorbook_authors"."bookid" = "book"."id"
+                        and ("book_authors"."lastname" ilike '%orwell%')))
+                and ("book"."title" ilike E'%100\\\\%\\\\_farm%'
+                    or exists (select 1 from "public"."authorbook" as "book_authorbook_authors_1"
+                        inner join "public"."author" as "book_authors_1" on "book_authorbook_authors_1"."authorid" = "book_authors_1"."id"
+                        where "book_authorbook_authors_1"."bookid" = "book"."id"
+                        and ("book_authors_1"."lastname" ilike E'%100\\\\%\\\\_farm%'))))`;
+            expect(query.toString()).to.be.equal(normalizeExpectedResult(expected));
+        });
+
+        it('search: ignores empty searches', function() {
+            const query = this.builder.buildQuery('Book', { search: '  ' });
+            expect(query.toString()).to.be.equal('select "book"."id" from "public"."book" as "book"');
+        });
+
+        it('search: throws an error if no search fields are configured', function() {
+            const builder = new SearchQueryBuilder(this.models);
+            expect(() => builder.buildQuery('Book', { search: 'orwell' })).to.throw(InvalidValueError);
         });
 
     });
 
-    describe('supports comparison operators on nested levels', function() {
+    describe('supports the near operator on GeoPoints', function() {
+
+        function distance(column, radius, lat, lng) {
+            return `${radius}::float8 * 2 * asin(sqrt(power(sin(radians(${column}[1] - ${lat}::float8) / 2), 2)
+                + cos(radians(${lat}::float8)) * cos(radians(${column}[1]))
+                * power(sin(radians(${column}[0] - ${lng}::float8) / 2), 2)))`
+                .replace(/\n\s*/g, ' ');
+        }
+
+        const london = distance('"publisher"."location"', 3958.75, 51.5, -0.12);
 
         runCases([
             {
-                message: 'greater than and equality',
+                message: 'near: only matches entities having a location and orders by distance',
+                model: 'Publisher',
+                where: { location: { near: [51.5, -0.12] } },
+                result: `select "publisher"."id" from "public"."publisher" as "publisher"
+                            where ("publisher"."location" is not null)
+                            order by ${london} asc, "publisher"."id" asc`,
+            },
+            {
+                message: 'near: restricts the distance in the given unit',
+                model: 'Publisher',
                 where: {
-                    pages: {
-                        number: {
-                            gt: 1,
-                        },
+                    location: {
+                        near: '51.5,-0.12',
+                        maxDistance: 1000,
+                        minDistance: 5,
+                        unit: 'kilometers',
                     },
-                    id: 1,
                 },
+                result: `select "publisher"."id" from "public"."publisher" as "publisher"
+                            where (${distance('"publisher"."location"', 6370.99056, 51.5, -0.12)} between 5 and 1000)
+                            order by ${distance('"publisher"."location"', 6370.99056, 51.5, -0.12)} asc, "publisher"."id" asc`,
+            },
+            {
+                message: 'near: applies limit and skip if the result is ordered by distance',
+                model: 'Publisher',
+                where: { location: { near: { lat: 51.5, lng: -0.12 }, maxDistance: 100 } },
+                filter: { limit: 2, skip: 1 },
+                result: `select "publisher"."id" from "public"."publisher" as "publisher"
+                            where (${london} <= 100)
+                            order by ${london} asc, "publisher"."id" asc limit 2 offset 1`,
+            },
+            {
+                message: 'near: does not order by distance if an order is given',
+                model: 'Publisher',
+                where: { location: { near: [51.5, -0.12] } },
+                filter: { order: 'name ASC', limit: 2 },
+                result: `select "publisher"."id" from "public"."publisher" as "publisher"
+                            where ("publisher"."location" is not null)`,
+            },
+            {
+                message: 'near: does not order by distance within or queries',
+                model: 'Publisher',
+                where: { or: [{ location: { near: [51.5, -0.12] } }, { name: 'NAL' }] },
+                result: `select "publisher"."id" from "public"."publisher" as "publisher"
+                            where ("publisher"."location" is not null or "publisher"."name" = 'NAL')`,
+            },
+            {
+                message: 'near: orders by the distance of the nearest related entity',
+                where: { publisher: { location: { near: [51.5, -0.12], minDistance: 10 } } },
                 result: `select "book"."id" from "public"."book" as "book"
-                            inner join "public"."page" as "book_pages" on "book"."id" = "book_pages"."bookid"
-                         where (("book_pages"."number" > 1)
-                         and "book"."id" = 1)
-                         group by "book"."id"`,
+                            where (exists (select 1 from "public"."publisher" as "book_publisher_1"
+                                where "book_publisher_1"."id" = "book"."publisherid"
+                                and (${distance('"book_publisher_1"."location"', 3958.75, 51.5, -0.12)} >= 10)))
+                            order by (select min(${distance('"book_publisher"."location"', 3958.75, 51.5, -0.12)})
+                                from "public"."publisher" as "book_publisher"
+                                where "book_publisher"."id" = "book"."publisherid"
+                                and (${distance('"book_publisher"."location"', 3958.75, 51.5, -0.12)} >= 10)) asc,
+                            "book"."id" asc`,
+            },
+        ], this);
+
+        it('near: throws an error for properties which are not GeoPoints', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        title: { near: [51.5, -0.12] },
+                    },
+                });
+            }).to.throw(UnknownOperatorError);
+        });
+
+        it('near: throws an error for invalid points and units', function() {
+            const queries = [
+                { near: [91, 0] },
+                { near: 'London' },
+                { near: [51.5, -0.12], unit: 'lightyears' },
+                { near: [51.5, -0.12], maxDistance: 'far' },
+            ];
+            queries.forEach((location) => {
+                expect(() => {
+                    this.builder.buildQuery('Publisher', { where: { location } });
+                }).to.throw(InvalidValueError);
+            });
+        });
+
+    });
+
+    describe('supports trigram similarity on string properties', function() {
+
+        runCases([
+            {
+                message: 'similar: compares the similarity with the default threshold and orders by similarity',
+                model: 'Author',
+                where: { lastName: { similar: 'orwel' } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (similarity("author"."lastname", 'orwel') >= 0.3)
+                            order by similarity("author"."lastname", 'orwel') desc, "author"."id" asc`,
             },
             {
-                message: 'less than and greater than in or blocks',
+                message: 'similar: does not order by similarity if there are several ranked queries',
+                model: 'Author',
                 where: {
-                    pages: {
-                        or: [
-                            {
-                                number: {
-                                    lt: 5,
-                                },
-                            },
-                            {
-                                number: {
-                                    gt: 10,
-                                },
-                            },
-                        ],
+                    lastName: { similar: 'orwel', threshold: '0.5' },
+                    firstName: { similar: 'georg', threshold: 0.1 },
+                },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (similarity("author"."lastname", 'orwel') >= 0.5
+                            and similarity("author"."firstname", 'georg') >= 0.1)`,
+            },
+            {
+                message: 'similar: orders by the similarity of the most similar related entity',
+                where: { authors: { lastName: { similar: 'orwel', threshold: 0.4 } } },
+                filter: { limit: 5 },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."authorbook" as "book_authorbook_authors_1"
+                                inner join "public"."author" as "book_authors_1" on "book_authorbook_authors_1"."authorid" = "book_authors_1"."id"
+                                where "book_authorbook_authors_1"."bookid" = "book"."id"
+                                and (similarity("book_authors_1"."lastname", 'orwel') >= 0.4)))
+                            order by (select max(similarity("book_authors"."lastname", 'orwel'))
+                                from "public"."authorbook" as "book_authorbook_authors"
+                                inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and (similarity("book_authors"."lastname", 'orwel') >= 0.4)) desc,
+                            "book"."id" asc limit 5`,
+            },
+        ], this);
+
+        it('similar: throws an error for properties which are not strings', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        pages: { number: { similar: '1' } },
                     },
-                    id: 1,
+                });
+            }).to.throw(UnknownOperatorError);
+        });
+
+        it('similar: throws an error for invalid thresholds', function() {
+            [2, -0.1, 'high', ''].forEach((threshold) => {
+                expect(() => {
+                    this.builder.buildQuery('Book', {
+                        where: { title: { similar: 'farm', threshold } },
+                    });
+                }).to.throw(InvalidValueError);
+            });
+        });
+
+        it('similar: throws an error if pg_trgm is not installed', function() {
+            const builder = new SearchQueryBuilder(this.models, { missingExtensions: ['pg_trgm'] });
+            expect(() => {
+                builder.buildQuery('Book', { where: { title: { similar: 'farm' } } });
+            }).to.throw(MissingExtensionError);
+        });
+
+    });
+
+    describe('supports accent insensitive pattern operators', function() {
+
+        runCases([
+            {
+                message: 'ailike',
+                where: { title: { ailike: '%zürich%' } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (unaccent("book"."title") ilike unaccent('%zürich%'))`,
+            },
+            {
+                message: 'alike, anlike and anilike',
+                where: {
+                    and: [
+                        { title: { alike: 'Genève%' } },
+                        { title: { anlike: '%Zürich' } },
+                        { title: { anilike: '%bâle%' } },
+                    ],
                 },
                 result: `select "book"."id" from "public"."book" as "book"
-                                inner join "public"."page" as "book_pages" on "book"."id" = "book_pages"."bookid"
-                            where (("book_pages"."number" < 5 or "book_pages"."number" > 10) and "book"."id" = 1)
-                            group by "book"."id"`,
+                            where (unaccent("book"."title") like unaccent('Genève%')
+                            and unaccent("book"."title") not like unaccent('%Zürich')
+                            and unaccent("book"."title") not ilike unaccent('%bâle%'))`,
+            },
+            {
+                message: 'ailike on related models',
+                model: 'Author',
+                where: { books: { title: { ailike: 'anîmal%' } } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (exists (select 1 from "public"."authorbook" as "author_authorbook_books"
+                                inner join "public"."book" as "author_books" on "author_authorbook_books"."bookid" = "author_books"."id"
+                                where "author_authorbook_books"."authorid" = "author"."id"
+                                and (unaccent("author_books"."title") ilike unaccent('anîmal%'))))`,
             },
         ], this);
 
+        it('ailike: throws an error for properties which are not strings', function() {
+            expect(() => {
+                this.builder.buildQuery('Book', {
+                    where: {
+                        pages: { number: { ailike: '1' } },
+                    },
+                });
+            }).to.throw(UnknownOperatorError);
+        });
+
+        it('ailike: throws an error if unaccent is not installed', function() {
+            const builder = new SearchQueryBuilder(this.models, { missingExtensions: ['unaccent'] });
+            expect(() => {
+                builder.buildQuery('Book', { where: { title: { ailike: 'zurich' } } });
+            }).to.throw(MissingExtensionError);
+        });
+
+    });
+
+    describe('supports references to other properties', function() {
+
+        runCases([
+            {
+                message: '$ref: compares properties of the same model',
+                model: 'Author',
+                where: { firstName: { neq: { $ref: 'lastName' } } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where ("author"."firstname" != "author"."lastname")`,
+            },
+            {
+                message: '$ref: compares with properties of related models',
+                where: { publishedAt: { lt: { $ref: 'mainAuthor.deathDate' } } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."author" as "book_mainauthor"
+                                where "book_mainauthor"."id" = "book"."mainauthorid"
+                                and "book"."publishedat" < "book_mainauthor"."deathdate"))`,
+            },
+            {
+                message: '$ref: resolves references starting at the model of the compared property',
+                model: 'Page',
+                where: {
+                    book: {
+                        publishedAt: { '=': { $ref: 'authors.deathDate' } },
+                    },
+                },
+                result: `select "page"."id" from "public"."page" as "page"
+                            where (exists (select 1 from "public"."book" as "page_book"
+                                where "page_book"."id" = "page"."bookid"
+                                and (exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                                    inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                    where "book_authorbook_authors"."bookid" = "page_book"."id"
+                                    and "page_book"."publishedat" = "book_authors"."deathdate"))))`,
+            },
+        ], this);
+
+        it('$ref: throws an error for unknown references', function() {
+            const references = ['mainAuthor.birthDate', 'editor.deathDate', 'mainAuthor'];
+            references.forEach((reference) => {
+                expect(() => {
+                    this.builder.buildQuery('Book', {
+                        where: { publishedAt: { gt: { $ref: reference } } },
+                    });
+                }).to.throw(UnknownPropertyError);
+            });
+        });
+
+        it('$ref: throws an error for invalid references', function() {
+            const comparisons = [
+                // properties of different types
+                { title: { '=': { $ref: 'mainAuthor.deathDate' } } },
+                // operators without support for references
+                { title: { inq: { $ref: 'mainAuthor.lastName' } } },
+                { title: { like: { $ref: 'mainAuthor.lastName' } } },
+                { publishedAt: { gt: { $ref: 12 } } },
+            ];
+            comparisons.forEach((where) => {
+                expect(() => this.builder.buildQuery('Book', { where }))
+                    .to.throw(InvalidValueError);
+            });
+        });
+
+    });
+
+    describe('supports referencesMany relations', function() {
+
+        runCases([
+            {
+                message: 'referencesMany: selects the entities referenced in the json array',
+                where: { genres: { name: 'Dystopia' } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."genre" as "book_genres"
+                                where "book"."genreids"::jsonb @> to_jsonb("book_genres"."id")
+                                and ("book_genres"."name" = 'Dystopia')))`,
+            },
+            {
+                message: 'referencesMany: counts the referenced entities',
+                where: { genres: { $count: { gt: 1 } } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select count(*) from "public"."genre" as "book_genres"
+                                where "book"."genreids"::jsonb @> to_jsonb("book_genres"."id")) > 1)`,
+            },
+        ], this);
+
+        describe('on native postgres arrays', function() {
+
+            before('declare the genre ids as native array', function() {
+                this.models.Book.definition.properties.genreIds.postgresql = { dataType: 'integer[]' };
+            });
+
+            after('restore the genre ids definition', function() {
+                delete this.models.Book.definition.properties.genreIds.postgresql;
+            });
+
+            runCases([
+                {
+                    message: 'referencesMany: selects the entities referenced in the array',
+                    where: { genres: { $none: { name: 'Dystopia' } } },
+                    result: `select "book"."id" from "public"."book" as "book"
+                                where (not exists (select 1 from "public"."genre" as "book_genres"
+                                    where "book_genres"."id" = any("book"."genreids")
+                                    and ("book_genres"."name" = 'Dystopia')))`,
+                },
+            ], this);
+
+        });
+
+    });
+
+    describe('supports embedded relations', function() {
+
+        runCases([
+            {
+                message: 'embedsMany: expands the embedded json array to records',
+                where: { reviews: { rating: { gte: 4 }, reviewer: 'Anna' } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from jsonb_to_recordset(case jsonb_typeof("book"."reviewlist"::jsonb)
+                                when 'array' then "book"."reviewlist"::jsonb
+                                when 'object' then jsonb_build_array("book"."reviewlist"::jsonb) end)
+                                as "book_reviews"("id" numeric, "reviewer" text, "rating" numeric, "publishedAt" timestamptz)
+                                where ("book_reviews"."rating" >= 4 and "book_reviews"."reviewer" = 'Anna')))`,
+            },
+            {
+                message: 'embedsMany: aggregates properties of the embedded entities',
+                where: { reviews: { $avg: { property: 'rating', gt: 3 } } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select avg("book_reviews"."rating") from jsonb_to_recordset(case jsonb_typeof("book"."reviewlist"::jsonb)
+                                when 'array' then "book"."reviewlist"::jsonb
+                                when 'object' then jsonb_build_array("book"."reviewlist"::jsonb) end)
+                                as "book_reviews"("id" numeric, "reviewer" text, "rating" numeric, "publishedAt" timestamptz)) > 3)`,
+            },
+            {
+                message: 'embedsOne: expands the embedded json object to a record',
+                model: 'Publisher',
+                where: { headquarters: { city: { ilike: 'new%' } } },
+                result: `select "publisher"."id" from "public"."publisher" as "publisher"
+                            where (exists (select 1 from jsonb_to_recordset(case jsonb_typeof("publisher"."headquartersaddress"::jsonb)
+                                when 'array' then "publisher"."headquartersaddress"::jsonb
+                                when 'object' then jsonb_build_array("publisher"."headquartersaddress"::jsonb) end)
+                                as "publisher_headquarters"("street" text, "city" text, "country" text, "id" text)
+                                where ("publisher_headquarters"."city" ilike 'new%')))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports mapped tables and columns', function() {
+
+        runCases([
+            {
+                message: 'resolves the mapped table and columns of related models',
+                where: {
+                    editions: {
+                        isbn: '9780451524935',
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."book_edition" as "book_editions"
+                                where "book_editions"."book_id" = "book"."id"
+                                and ("book_editions"."isbn_13" = '9780451524935')))`,
+            },
+            {
+                message: 'selects the mapped id column of the root model by the name of the id',
+                model: 'Edition',
+                where: {
+                    isbn: '9780451524935',
+                    book: {
+                        title: '1984',
+                    },
+                },
+                result: `select "edition"."edition_id" as "id" from "public"."book_edition" as "edition"
+                            where ("edition"."isbn_13" = '9780451524935'
+                            and exists (select 1 from "public"."book" as "edition_book"
+                                where "edition_book"."id" = "edition"."book_id"
+                                and ("edition_book"."title" = '1984')))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports through relations with arbitrary keys', function() {
+
+        runCases([
+            {
+                message: 'joins the natural key referenced by the belongsTo relation of the through model',
+                model: 'Library',
+                where: {
+                    editions: {
+                        bookId: 1,
+                    },
+                },
+                result: `select "library"."id" from "public"."library" as "library"
+                            where (exists (select 1 from "public"."holding" as "library_holding_editions"
+                                inner join "public"."book_edition" as "library_editions" on "library_holding_editions"."isbn" = "library_editions"."isbn_13"
+                                where "library_holding_editions"."libraryid" = "library"."id"
+                                and ("library_editions"."book_id" = 1)))`,
+            },
+            {
+                message: 'correlates the natural key of the root model (primaryKey)',
+                model: 'Edition',
+                where: {
+                    libraries: {
+                        name: 'City Library',
+                    },
+                },
+                result: `select "edition"."edition_id" as "id" from "public"."book_edition" as "edition"
+                            where (exists (select 1 from "public"."holding" as "edition_holding_libraries"
+                                inner join "public"."library" as "edition_libraries" on "edition_holding_libraries"."libraryid" = "edition_libraries"."id"
+                                where "edition_holding_libraries"."isbn" = "edition"."isbn_13"
+                                and ("edition_libraries"."name" = 'City Library')))`,
+            },
+            {
+                message: 'joins the id of the target model for unidirectional relations with a custom keyThrough',
+                model: 'Library',
+                where: {
+                    featuredBooks: {
+                        title: '1984',
+                    },
+                },
+                result: `select "library"."id" from "public"."library" as "library"
+                            where (exists (select 1 from "public"."feature" as "library_feature_featuredbooks"
+                                inner join "public"."book" as "library_featuredbooks" on "library_feature_featuredbooks"."featuredbookid" = "library_featuredbooks"."id"
+                                where "library_feature_featuredbooks"."libraryid" = "library"."id"
+                                and ("library_featuredbooks"."title" = '1984')))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports composite keys', function() {
+
+        runCases([
+            {
+                message: 'selects all columns of composite ids',
+                model: 'Translation',
+                where: {
+                    language: 'de',
+                },
+                result: `select "translation"."bookid" as "bookId", "translation"."language" from "public"."translation" as "translation"
+                            where ("translation"."language" = 'de')`,
+            },
+            {
+                message: 'correlates related models on all keys',
+                model: 'Translation',
+                where: {
+                    narrations: {
+                        narrator: 'Anna',
+                    },
+                },
+                result: `select "translation"."bookid" as "bookId", "translation"."language" from "public"."translation" as "translation"
+                            where (exists (select 1 from "public"."narration" as "translation_narrations"
+                                where "translation_narrations"."bookid" = "translation"."bookid"
+                                and "translation_narrations"."language" = "translation"."language"
+                                and ("translation_narrations"."narrator" = 'Anna')))`,
+            },
+            {
+                message: 'joins the target of through relations on all keys',
+                where: {
+                    narrations: {
+                        narrator: 'Anna',
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."translation" as "book_translation_narrations"
+                                inner join "public"."narration" as "book_narrations" on "book_translation_narrations"."bookid" = "book_narrations"."bookid"
+                                and "book_translation_narrations"."language" = "book_narrations"."language"
+                                where "book_translation_narrations"."bookid" = "book"."id"
+                                and ("book_narrations"."narrator" = 'Anna')))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports polymorphic relations', function() {
+
+        runCases([
+            {
+                message: 'polymorphic belongsTo: queries the model given by $type',
+                model: 'Picture',
+                where: { imageable: { $type: 'Book', title: '1984' } },
+                result: `select "picture"."id" from "public"."picture" as "picture"
+                            where (exists (select 1 from "public"."book" as "picture_imageable"
+                                where "picture_imageable"."id" = "picture"."imageableid"
+                                and "picture"."imageabletype" = 'Book'
+                                and ("picture_imageable"."title" = '1984')))`,
+            },
+            {
+                message: 'polymorphic hasMany: restricts the related entities by the discriminator',
+                model: 'Author',
+                where: { pictures: { $count: { gt: 0 } } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where ((select count(*) from "public"."picture" as "author_pictures"
+                                where "author_pictures"."imageableid" = "author"."id"
+                                and "author_pictures"."imageabletype" = 'Author'
+                                and ("author_pictures"."visible" != false)) > 0)`,
+            },
+        ], this);
+
+    });
+
+    describe('supports scopes of relations and target models', function() {
+
+        runCases([
+            {
+                message: 'scopes: applies the where query of the relation scope',
+                model: 'Author',
+                where: { novels: { title: '1984' } },
+                result: `select "author"."id" from "public"."author" as "author"
+                            where (exists (select 1 from "public"."authorbook" as "author_authorbook_novels"
+                                inner join "public"."book" as "author_novels" on "author_authorbook_novels"."bookid" = "author_novels"."id"
+                                where "author_authorbook_novels"."authorid" = "author"."id"
+                                and ("author_novels"."tags"::jsonb @> '["novel"]'::jsonb)
+                                and ("author_novels"."title" = '1984')))`,
+            },
+            {
+                message: 'scopes: applies the default scope of the target model to quantified queries',
+                where: { pictures: { $every: { name: 'Portrait' } } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (not exists (select 1 from "public"."picture" as "book_pictures"
+                                where "book_pictures"."imageableid" = "book"."id"
+                                and "book_pictures"."imageabletype" = 'Book'
+                                and ("book_pictures"."visible" != false)
+                                and (("book_pictures"."name" = 'Portrait')) is not true))`,
+            },
+            {
+                message: 'scopes: relations can opt out of scopes',
+                where: { allPictures: { name: 'Draft' } },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."picture" as "book_allpictures"
+                                where "book_allpictures"."imageableid" = "book"."id"
+                                and "book_allpictures"."imageabletype" = 'Book'
+                                and ("book_allpictures"."name" = 'Draft')))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports comparison operators on nested levels', function() {
+
+        runCases([
+            {
+                message: 'regexp',
+                where: {
+                    authors: {
+                        lastName: {
+                            regexp: '/^orw/i',
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                                inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and ("book_authors"."lastname" ~* '^orw')))`,
+            },
+            {
+                message: 'greater than and equality',
+                where: {
+                    pages: {
+                        number: {
+                            gt: 1,
+                        },
+                    },
+                    id: 1,
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                         where (exists (select 1 from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id"
+                                and ("book_pages"."number" > 1))
+                         and "book"."id" = 1)`,
+            },
+            {
+                message: 'less than and greater than in or blocks',
+                where: {
+                    pages: {
+                        or: [
+                            {
+                                number: {
+                                    lt: 5,
+                                },
+                            },
+                            {
+                                number: {
+                                    gt: 10,
+                                },
+                            },
+                        ],
+                    },
+                    id: 1,
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."page" as "book_pages"
+                                    where "book_pages"."bookid" = "book"."id"
+                                    and ("book_pages"."number" < 5 or "book_pages"."number" > 10))
+                            and "book"."id" = 1)`,
+            },
+        ], this);
+
+    });
+
+    describe('supports quantifiers on relations', function() {
+
+        runCases([
+            {
+                message: '$some',
+                where: {
+                    pages: {
+                        $some: {
+                            number: {
+                                gt: 10,
+                            },
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id"
+                                and ("book_pages"."number" > 10)))`,
+            },
+            {
+                message: '$every',
+                where: {
+                    pages: {
+                        $every: {
+                            number: {
+                                gt: 10,
+                            },
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (not exists (select 1 from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id"
+                                and (("book_pages"."number" > 10)) is not true))`,
+            },
+            {
+                message: '$none',
+                where: {
+                    authors: {
+                        $none: {
+                            lastName: 'Orwell',
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (not exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                                inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and ("book_authors"."lastname" = 'Orwell')))`,
+            },
+            {
+                message: '$every with an empty query',
+                where: {
+                    pages: {
+                        $every: {},
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (not exists (select 1 from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id"
+                                and false))`,
+            },
+            {
+                message: 'multiple quantifiers on the same relation in or clauses',
+                where: {
+                    or: [
+                        {
+                            pages: {
+                                $some: {},
+                                $every: {
+                                    number: {
+                                        lt: 100,
+                                    },
+                                },
+                            },
+                        },
+                        {
+                            title: '1984',
+                        },
+                    ],
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((exists (select 1 from "public"."page" as "book_pages"
+                                    where "book_pages"."bookid" = "book"."id")
+                                and not exists (select 1 from "public"."page" as "book_pages_1"
+                                    where "book_pages_1"."bookid" = "book"."id"
+                                    and (("book_pages_1"."number" < 100)) is not true))
+                            or "book"."title" = '1984')`,
+            },
+        ], this);
+
+    });
+
+    describe('supports counting related entities', function() {
+
+        runCases([
+            {
+                message: '$count on a hasMany relation',
+                where: {
+                    pages: {
+                        $count: {
+                            gt: 300,
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select count(*) from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id") > 300)`,
+            },
+            {
+                message: '$count with a plain value and between operator',
+                where: {
+                    or: [
+                        {
+                            pages: {
+                                $count: 0,
+                            },
+                        },
+                        {
+                            pages: {
+                                $count: {
+                                    between: [10, 20],
+                                },
+                            },
+                        },
+                    ],
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select count(*) from "public"."page" as "book_pages"
+                                    where "book_pages"."bookid" = "book"."id") = 0
+                                or (select count(*) from "public"."page" as "book_pages_1"
+                                    where "book_pages_1"."bookid" = "book"."id") between 10 and 20)`,
+            },
+            {
+                message: '$count restricted by a where query on a relation with a through model',
+                where: {
+                    authors: {
+                        $count: {
+                            lte: 2,
+                            where: {
+                                lastName: 'Orwell',
+                            },
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select count(*) from "public"."authorbook" as "book_authorbook_authors"
+                                inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and ("book_authors"."lastname" = 'Orwell')) <= 2)`,
+            },
+        ], this);
+
+    });
+
+    describe('supports aggregates over properties of related entities', function() {
+
+        runCases([
+            {
+                message: '$max',
+                where: {
+                    pages: {
+                        $max: {
+                            property: 'number',
+                            lt: 100,
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select max("book_pages"."number") from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id") < 100)`,
+            },
+            {
+                message: '$avg restricted by a where query',
+                where: {
+                    pages: {
+                        $avg: {
+                            property: 'number',
+                            gt: 4,
+                            where: {
+                                number: {
+                                    neq: null,
+                                },
+                            },
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((select avg("book_pages"."number") from "public"."page" as "book_pages"
+                                where "book_pages"."bookid" = "book"."id"
+                                and ("book_pages"."number" is not null)) > 4)`,
+            },
+            {
+                message: '$sum and $min on the same relation',
+                where: {
+                    pages: {
+                        $sum: {
+                            property: 'number',
+                            between: [10, 20],
+                        },
+                        $min: {
+                            property: 'number',
+                            gte: 1,
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (((select coalesce(sum("book_pages"."number"), 0) from "public"."page" as "book_pages"
+                                    where "book_pages"."bookid" = "book"."id") between 10 and 20
+                                and (select min("book_pages_1"."number") from "public"."page" as "book_pages_1"
+                                    where "book_pages_1"."bookid" = "book"."id") >= 1))`,
+            },
+        ], this);
+
+    });
+
+    describe('supports negating queries', function() {
+
+        runCases([
+            {
+                message: 'negates properties',
+                where: {
+                    not: {
+                        title: 'Animal Farm',
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ((("book"."title" = 'Animal Farm')) is not true)`,
+            },
+            {
+                message: 'negates relations using not exists',
+                where: {
+                    not: {
+                        authors: {
+                            lastName: 'Orwell',
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (((exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                                inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and ("book_authors"."lastname" = 'Orwell')))) is not true)`,
+            },
+            {
+                message: 'negates or queries within relations',
+                where: {
+                    title: 'Animal Farm',
+                    publisher: {
+                        not: {
+                            or: [
+                                {
+                                    name: 'NAL',
+                                },
+                                {
+                                    books: {
+                                        title: '1984',
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ("book"."title" = 'Animal Farm'
+                            and exists (select 1 from "public"."publisher" as "book_publisher"
+                                where "book_publisher"."id" = "book"."publisherid"
+                                and ((("book_publisher"."name" = 'NAL'
+                                    or exists (select 1 from "public"."book" as "publisher_books"
+                                        where "publisher_books"."publisherid" = "book_publisher"."id"
+                                        and ("publisher_books"."title" = '1984')))) is not true)))`,
+            },
+            {
+                message: 'negates empty queries',
+                where: {
+                    or: [
+                        {
+                            not: {},
+                        },
+                        {
+                            title: '1984',
+                        },
+                    ],
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (false or "book"."title" = '1984')`,
+            },
+        ], this);
+
+    });
+
+    describe('resolves the columns from the database schema', function() {
+
+        before('inspect the schema', async function() {
+            this.schema = new SchemaInspector();
+            await this.schema.inspect(this.models.Book.dataSource);
+        });
+
+        beforeEach('setup query builder', function() {
+            // the case of the columns is resolved from the schema
+            this.builder = new SearchQueryBuilder(this.models, {
+                preserveColumnCase: true,
+                schema: this.schema,
+            });
+        });
+
+        runCases([
+            {
+                message: 'resolves the lowercased columns of camel cased properties',
+                where: {
+                    publisherId: 1,
+                    authors: {
+                        firstName: 'George',
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where ("book"."publisherid" = 1
+                            and exists (select 1 from "public"."authorbook" as "book_authorbook_authors"
+                                inner join "public"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and ("book_authors"."firstname" = 'George')))`,
+            },
+        ], this);
+
+    });
+
+    describe('resolves the schema of the tables per query', function() {
+
+        beforeEach('setup query builder', function() {
+            // the authors and publishers of the tenant are stored in its own schema, the books
+            // are shared
+            this.resolvedModels = [];
+            this.builder = new SearchQueryBuilder(this.models, {
+                preserveColumnCase: false,
+                schemaResolver: (modelName, schema) => {
+                    this.resolvedModels.push(modelName);
+                    const tenantModels = ['AuthorBook', 'Author', 'Publisher'];
+                    return tenantModels.includes(modelName) ? 'tenant_a' : schema;
+                },
+            });
+        });
+
+        runCases([
+            {
+                message: 'joins the tables of different schemas',
+                where: {
+                    authors: {
+                        firstName: 'George',
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "tenant_a"."authorbook" as "book_authorbook_authors"
+                                inner join "tenant_a"."author" as "book_authors" on "book_authorbook_authors"."authorid" = "book_authors"."id"
+                                where "book_authorbook_authors"."bookid" = "book"."id"
+                                and ("book_authors"."firstname" = 'George')))`,
+            },
+            {
+                message: 'uses the resolved schema for the tables of nested relations',
+                where: {
+                    publisher: {
+                        books: {
+                            title: '1984',
+                        },
+                    },
+                },
+                result: `select "book"."id" from "public"."book" as "book"
+                            where (exists (select 1 from "tenant_a"."publisher" as "book_publisher"
+                                where "book_publisher"."id" = "book"."publisherid"
+                                and (exists (select 1 from "public"."book" as "publisher_books"
+                                    where "publisher_books"."publisherid" = "book_publisher"."id"
+                                    and ("publisher_books"."title" = '1984')))))`,
+            },
+        ], this);
+
+        it('invokes the resolver once per model and keeps the schema if none is resolved', function() {
+            const builder = new SearchQueryBuilder(this.models, {
+                preserveColumnCase: false,
+                schemaResolver: () => null,
+            });
+            const query = builder.buildQuery('Book', { where: { authors: { firstName: 'George' } } });
+            expect(query.toString()).to.include('from "public"."book" as "book"');
+
+            // the subqueries are built when the query is compiled
+            this.builder.buildQuery('Book', { where: { authors: { firstName: 'George' } } }).toString();
+            expect(this.resolvedModels).to.have.members(['Book', 'AuthorBook', 'Author']);
+            expect(this.builder.getResolvedSchemas()).to.have.members(['public', 'tenant_a']);
+        });
+
+        it('resolves the schema of the queried model', function() {
+            const builder = new SearchQueryBuilder(this.models, {
+                preserveColumnCase: false,
+                schemaResolver: modelName => (modelName === 'Book' ? 'tenant_a' : null),
+            });
+
+            const query = builder.buildQuery('Book', { where: { title: '1984' } });
+            expect(query.toString()).to.be.equal(normalizeExpectedResult(`select "book"."id"
+                from "tenant_a"."book" as "book" where ("book"."title" = '1984')`));
+        });
+
     });
 });
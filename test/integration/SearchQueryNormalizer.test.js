@@ -5,7 +5,7 @@ const {
 } = require('mocha');
 
 const SearchQueryNormalizer = require('../../src/SearchQueryNormalizer');
-const { UnknownPropertyError } = require('../../src/error');
+const { InvalidValueError, UnknownOperatorError, UnknownPropertyError } = require('../../src/error');
 
 describe('The Search Query Normalizer', () => {
 
@@ -336,4 +336,599 @@ describe('The Search Query Normalizer', () => {
             ]);
     });
 
+    it('wraps or entries containing multiple properties in an and query', function() {
+        const newWhere = this.normalize('Book', {
+            or: [
+                {
+                    title: 'Animal Farm',
+                    publisher: {
+                        name: 'NAL',
+                    },
+                },
+                {
+                    title: '1984',
+                },
+            ],
+        });
+
+        expect(newWhere)
+            .to.have.property('or')
+            .that.deep.equals([
+                {
+                    and: [
+                        {
+                            title: { '=': 'Animal Farm' },
+                        },
+                        {
+                            publisher: {
+                                and: [
+                                    {
+                                        name: { '=': 'NAL' },
+                                    },
+                                ],
+                            },
+                        },
+                    ],
+                },
+                {
+                    title: { '=': '1984' },
+                },
+            ]);
+    });
+
+    it('normalizes the queries wrapped in quantifiers on relations', function() {
+        const newWhere = this.normalize('Book', {
+            authors: {
+                $every: {
+                    lastName: 'Orwell',
+                },
+            },
+            pages: {
+                $none: {
+                    number: { gt: 100 },
+                },
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    authors: {
+                        $every: {
+                            and: [
+                                {
+                                    lastName: { '=': 'Orwell' },
+                                },
+                            ],
+                        },
+                    },
+                },
+                {
+                    pages: {
+                        $none: {
+                            and: [
+                                {
+                                    number: { gt: 100 },
+                                },
+                            ],
+                        },
+                    },
+                },
+            ]);
+    });
+
+    it('unwraps the $some quantifier and groups multiple quantifiers on the same relation', function() {
+        const newWhere = this.normalize('Book', {
+            authors: {
+                $some: {
+                    firstName: 'George',
+                },
+                $none: {
+                    lastName: 'Orwell',
+                },
+                firstName: 'Scott',
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    and: [
+                        {
+                            authors: {
+                                and: [
+                                    {
+                                        firstName: { '=': 'George' },
+                                    },
+                                ],
+                            },
+                        },
+                        {
+                            authors: {
+                                $none: {
+                                    and: [
+                                        {
+                                            lastName: { '=': 'Orwell' },
+                                        },
+                                    ],
+                                },
+                            },
+                        },
+                        {
+                            authors: {
+                                and: [
+                                    {
+                                        firstName: { '=': 'Scott' },
+                                    },
+                                ],
+                            },
+                        },
+                    ],
+                },
+            ]);
+    });
+
+    it('normalizes $count queries on relations', function() {
+        const newWhere = this.normalize('Book', {
+            pages: {
+                $count: 3,
+            },
+            authors: {
+                $count: {
+                    gt: 1,
+                    where: {
+                        lastName: 'Orwell',
+                    },
+                },
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    pages: {
+                        $count: {
+                            where: {},
+                            '=': 3,
+                        },
+                    },
+                },
+                {
+                    authors: {
+                        $count: {
+                            where: {
+                                and: [
+                                    {
+                                        lastName: { '=': 'Orwell' },
+                                    },
+                                ],
+                            },
+                            gt: 1,
+                        },
+                    },
+                },
+            ]);
+    });
+
+    it('throws an error if a $count query does not contain exactly one valid operator', function() {
+        expect(() => {
+            this.normalize('Book', {
+                pages: {
+                    $count: {
+                        like: '1%',
+                    },
+                },
+            });
+        }).to.throw(UnknownOperatorError);
+
+        expect(() => {
+            this.normalize('Book', {
+                pages: {
+                    $count: {
+                        gt: 1,
+                        lt: 10,
+                    },
+                },
+            });
+        }).to.throw(UnknownOperatorError);
+    });
+
+    it('normalizes aggregates over properties of related models', function() {
+        const newWhere = this.normalize('Book', {
+            pages: {
+                $max: {
+                    property: 'number',
+                    lt: 100,
+                },
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    pages: {
+                        $max: {
+                            where: {},
+                            property: 'number',
+                            lt: 100,
+                        },
+                    },
+                },
+            ]);
+    });
+
+    it('ignores aggregates over unknown properties of related models', function() {
+        const newWhere = this.normalize('Book', {
+            pages: {
+                $sum: {
+                    property: 'fake',
+                    gt: 10,
+                },
+            },
+        });
+
+        expect(newWhere).to.deep.equal({ and: [] });
+    });
+
+    it('throws an error for aggregates over unknown properties of related models if the ' +
+        'corresponding option is set to true', function() {
+        this.normalizer.setUnknownPropertyRejection(true);
+        expect(() => {
+            this.normalize('Book', {
+                pages: {
+                    $avg: {
+                        property: 'fake',
+                        gt: 10,
+                    },
+                },
+            });
+        }).to.throw(UnknownPropertyError);
+    });
+
+    it('throws an error for aggregates over properties of unsupported types', function() {
+        expect(() => {
+            this.normalize('Author', {
+                books: {
+                    $avg: {
+                        property: 'title',
+                        gt: 1,
+                    },
+                },
+            });
+        }).to.throw(InvalidValueError, 'title');
+        expect(() => {
+            this.normalize('Author', {
+                books: {
+                    $max: {
+                        property: 'metadata',
+                        gt: 1,
+                    },
+                },
+            });
+        }).to.throw(InvalidValueError, 'metadata');
+
+        const newWhere = this.normalize('Author', {
+            books: {
+                $max: {
+                    property: 'title',
+                    gt: 'M',
+                },
+            },
+        });
+        expect(newWhere.and[0].books.$max).to.include({ property: 'title', gt: 'M' });
+    });
+
+    it('normalizes negated queries', function() {
+        const newWhere = this.normalize('Book', {
+            not: {
+                authors: {
+                    lastName: 'Orwell',
+                },
+                or: [
+                    {
+                        title: '1984',
+                    },
+                ],
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    not: {
+                        and: [
+                            {
+                                authors: {
+                                    and: [
+                                        {
+                                            lastName: { '=': 'Orwell' },
+                                        },
+                                    ],
+                                },
+                            },
+                        ],
+                        or: [
+                            {
+                                title: { '=': '1984' },
+                            },
+                        ],
+                    },
+                },
+            ]);
+    });
+
+    it('throws an error for malformed negated, and, or and relation queries', function() {
+        const malformedQueries = [
+            { not: null },
+            { not: 'x' },
+            { and: { title: '1984' } },
+            { or: 'x' },
+            { or: [null] },
+            { title: '1984', and: [{ or: { title: '1984' } }] },
+            { authors: null },
+        ];
+
+        malformedQueries.forEach((query) => {
+            expect(() => this.normalize('Book', query)).to.throw(InvalidValueError);
+        });
+    });
+
+    it('throws an error if an unknown property is encountered in a negated query and ' +
+        'the corresponding option is set to true', function() {
+        this.normalizer.setUnknownPropertyRejection(true);
+        expect(() => {
+            this.normalize('Book', {
+                not: {
+                    authors: {
+                        test: 'fake property',
+                    },
+                },
+            });
+        }).to.throw(UnknownPropertyError);
+    });
+
+    it('splits regular expressions into pattern and flags', function() {
+        const newWhere = this.normalize('Book', {
+            and: [
+                { title: { regexp: '/^animal/i' } },
+                { title: { regexp: /farm$/ } },
+                { title: { regexp: '^Animal' } },
+            ],
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { title: { regexp: { pattern: '^animal', flags: 'i' } } },
+                { title: { regexp: { pattern: 'farm$', flags: '' } } },
+                { title: { regexp: { pattern: '^Animal', flags: '' } } },
+            ]);
+    });
+
+    it('throws an error if a regular expression contains unsupported flags', function() {
+        expect(() => {
+            this.normalize('Book', {
+                title: { regexp: /animal/gm },
+            });
+        }).to.throw(InvalidValueError);
+    });
+
+    it('converts the point of near queries and adds the default unit', function() {
+        const newWhere = this.normalize('Publisher', {
+            and: [
+                { location: { near: '51.5,-0.12' } },
+                { location: { near: [51.5, -0.12], maxDistance: '100', unit: 'kilometers' } },
+                { location: { near: { lat: 51.5, lng: -0.12 }, minDistance: 10 } },
+            ],
+        });
+
+        const near = { lat: 51.5, lng: -0.12 };
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { location: { near, unit: 'miles' } },
+                { location: { near, unit: 'kilometers', maxDistance: 100 } },
+                { location: { near, unit: 'miles', minDistance: 10 } },
+            ]);
+    });
+
+    it('coerces values to the types of the queried properties and keeps falsy values', function() {
+        const newWhere = this.normalize('Book', {
+            title: '',
+            pages: {
+                number: { inq: ['0', '1'] },
+                $count: { gt: '2' },
+                $max: { property: 'number', lt: '100' },
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { title: { '=': '' } },
+                {
+                    and: [
+                        { pages: { $count: { where: {}, gt: 2 } } },
+                        { pages: { $max: { where: {}, property: 'number', lt: 100 } } },
+                        { pages: { and: [{ number: { inq: [0, 1] } }] } },
+                    ],
+                },
+            ]);
+    });
+
+    it('throws an error if a value can not be coerced to the type of the queried property', function() {
+        expect(() => {
+            this.normalize('Book', {
+                pages: {
+                    number: 'one',
+                },
+            });
+        }).to.throw(InvalidValueError);
+    });
+
+    it('normalizes queries on nested paths of json properties', function() {
+        const newWhere = this.normalize('Book', {
+            'metadata.genre': 'dystopia',
+            metadata: {
+                series: {
+                    volume: { gt: 1 },
+                },
+                'series.name': 'Harry Potter',
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { metadata: { $path: ['genre'], '=': 'dystopia' } },
+                { metadata: { $path: ['series', 'volume'], gt: 1 } },
+                { metadata: { $path: ['series', 'name'], '=': 'Harry Potter' } },
+            ]);
+    });
+
+    it('does not accept nested paths of properties which are not json', function() {
+        const rejectUnknownProperties = true;
+        const normalizer = new SearchQueryNormalizer(this.models, { rejectUnknownProperties });
+        expect(() => {
+            normalizer.normalizeWhereQuery('Book', {
+                'title.length': 1,
+            });
+        }).to.throw(UnknownPropertyError);
+    });
+
+    it('normalizes array operators on array properties', function() {
+        const newWhere = this.normalize('Book', {
+            and: [
+                { tags: { contains: ['classic', 'novel'] } },
+                { tags: { overlaps: 'satire' } },
+            ],
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { tags: { contains: ['classic', 'novel'] } },
+                { tags: { overlaps: ['satire'] } },
+            ]);
+    });
+
+    it('throws an error if array operators are used on properties which are not arrays', function() {
+        expect(() => {
+            this.normalize('Book', {
+                title: { overlaps: ['1984'] },
+            });
+        }).to.throw(UnknownOperatorError);
+    });
+
+    it('normalizes full text search queries', function() {
+        const newWhere = this.normalize('Book', {
+            and: [
+                { title: { match: 'animal farm' } },
+                { title: { match: 'farm -gatsby', language: 'english', websearch: true } },
+            ],
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { title: { match: { query: 'animal farm', websearch: false } } },
+                {
+                    title: {
+                        match: { query: 'farm -gatsby', language: 'english', websearch: true },
+                    },
+                },
+            ]);
+    });
+
+    it('normalizes references to properties of the model and related models', function() {
+        const newWhere = this.normalize('Book', {
+            publishedAt: {
+                gt: { $ref: 'authors.books.publishedAt' },
+                lt: '2000-01-01',
+            },
+            title: { $ref: 'publisher.name' },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    publishedAt: {
+                        gt: { $ref: { path: ['authors', 'books'], property: 'publishedAt' } },
+                        lt: new Date('2000-01-01'),
+                    },
+                },
+                { title: { '=': { $ref: { path: ['publisher'], property: 'name' } } } },
+            ]);
+    });
+
+    it('rejects references on nested paths of json properties', function() {
+        expect(() => {
+            this.normalize('Book', {
+                'metadata.year': { gt: { $ref: 'publishedAt' } },
+            });
+        }).to.throw(InvalidValueError);
+    });
+
+    it('normalizes similar queries and adds the default threshold', function() {
+        const newWhere = this.normalize('Author', {
+            and: [
+                { lastName: { similar: 'orwel' } },
+                { firstName: { similar: 1984, threshold: '0.5' } },
+            ],
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                { lastName: { similar: { query: 'orwel', threshold: 0.3 } } },
+                { firstName: { similar: { query: '1984', threshold: 0.5 } } },
+            ]);
+    });
+
+    it('normalizes queries on polymorphic relations using the model given by $type', function() {
+        const newWhere = this.normalize('Picture', {
+            imageable: {
+                $type: 'Author',
+                lastName: 'Orwell',
+                $none: { deathDate: { lt: '1900-01-01' } },
+            },
+        });
+
+        expect(newWhere)
+            .to.have.property('and')
+            .that.deep.equals([
+                {
+                    and: [
+                        {
+                            imageable: {
+                                $type: 'Author',
+                                $none: {
+                                    and: [{ deathDate: { lt: new Date('1900-01-01') } }],
+                                },
+                            },
+                        },
+                        {
+                            imageable: {
+                                $type: 'Author',
+                                and: [{ lastName: { '=': 'Orwell' } }],
+                            },
+                        },
+                    ],
+                },
+            ]);
+    });
+
+    it('rejects queries on polymorphic relations without valid $type', function() {
+        [{ title: '1984' }, { $type: 'Unknown' }, { $type: ['Book'] }].forEach((query) => {
+            expect(() => this.normalize('Picture', { imageable: query }))
+                .to.throw(InvalidValueError);
+        });
+    });
+
 });
@@ -0,0 +1,3 @@
+-- extensions required by the operators of the component (executed when the container is created)
+create extension if not exists pg_trgm;
+create extension if not exists unaccent;
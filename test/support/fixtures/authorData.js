@@ -3,6 +3,7 @@ module.exports = function() {
         {
             firstName: 'Scott',
             lastName: 'Fitzgerald',
+            deathDate: new Date('1940-12-21'),
         },
         {
             firstName: 'Suzanne',
@@ -15,6 +16,7 @@ module.exports = function() {
         {
             firstName: 'George',
             lastName: 'Orwell',
+            deathDate: new Date('1950-01-21'),
         },
     ];
 };
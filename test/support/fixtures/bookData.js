@@ -2,18 +2,52 @@ module.exports = function() {
     return [
         {
             title: 'The great gatsby',
+            publishedAt: new Date('1925-04-10'),
+            tags: ['classic', 'novel'],
+            metadata: { year: 1925, genre: 'tragedy' },
         },
         {
             title: 'The hunger games',
+            publishedAt: new Date('2008-09-14'),
+            tags: ['young adult', 'dystopia'],
+            metadata: {
+                year: 2008,
+                genre: 'dystopia',
+                series: { name: 'The Hunger Games', volume: 1 },
+            },
         },
         {
             title: 'Harry Potter',
+            publishedAt: new Date('1997-06-26'),
+            tags: ['young adult', 'fantasy'],
+            metadata: {
+                year: 1997,
+                genre: 'fantasy',
+                series: { name: 'Harry Potter', volume: 1 },
+            },
+            reviewList: [
+                { id: 1, reviewer: 'Ben', rating: 5 },
+                { id: 2, reviewer: 'Carla', rating: 2 },
+            ],
         },
         {
             title: '1984',
+            publishedAt: new Date('1949-06-08'),
+            tags: ['classic', 'dystopia', 'novel'],
+            metadata: { year: 1949, genre: 'dystopia' },
+            reviewList: [
+                { id: 1, reviewer: 'Anna', rating: 5 },
+                { id: 2, reviewer: 'Ben', rating: 4 },
+            ],
         },
         {
             title: 'Animal Farm',
+            publishedAt: new Date('1945-08-17'),
+            tags: ['classic', 'satire'],
+            metadata: { year: 1945, genre: 'satire' },
+            reviewList: [
+                { id: 1, reviewer: 'Anna', rating: 3 },
+            ],
         },
     ];
 };
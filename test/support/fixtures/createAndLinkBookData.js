@@ -1,6 +1,7 @@
 const bookData = require('./bookData');
 const publisherData = require('./publisherData');
 const authorData = require('./authorData');
+const genreData = require('./genreData');
 
 class BookDataCreator {
 
@@ -9,14 +10,26 @@ class BookDataCreator {
         this.Publisher = models.Publisher;
         this.Page = models.Page;
         this.Author = models.Author;
+        this.Genre = models.Genre;
+        this.Library = models.Library;
+        this.Holding = models.Holding;
+        this.Feature = models.Feature;
+        this.Translation = models.Translation;
+        this.Narration = models.Narration;
     }
 
     async createAndLinkBookData() {
         const books = await this.createBooks(bookData());
         const authors = await this.createAuthors(authorData());
         const publishers = await this.createPublishers(publisherData());
-
-        return this.linkData({ books, authors, publishers });
+        const genres = await this.createGenres(genreData());
+
+        return this.linkData({
+            books,
+            authors,
+            publishers,
+            genres,
+        });
     }
 
     async createBooks(data) {
@@ -31,18 +44,34 @@ class BookDataCreator {
         return this.createModels(this.Publisher, data);
     }
 
+    async createGenres(data) {
+        return this.createModels(this.Genre, data);
+    }
+
     async createModels(model, data) {
         return Promise.all(data.map(entry => model.create(entry)));
     }
 
-    async linkData({ books, authors, publishers }) {
+    async linkData({
+        books,
+        authors,
+        publishers,
+        genres,
+    }) {
         const authorMap = this.mapEntities(authors, 'lastName');
         const publisherMap = this.mapEntities(publishers, 'name');
         const bookMap = this.mapEntities(books, 'title');
+        const genreMap = this.mapEntities(genres, 'name');
 
         return Promise.all([
             this._linkAuthorData(bookMap, authorMap),
             this._linkPublisherData(bookMap, publisherMap),
+            this._linkPageData(bookMap),
+            this._linkGenreData(bookMap, genreMap),
+            this._linkPictureData(bookMap, authorMap),
+            this._linkEditionData(bookMap),
+            this._linkLibraryData(bookMap),
+            this._linkTranslationData(bookMap),
         ]);
     }
 
@@ -79,6 +108,95 @@ class BookDataCreator {
         ]);
     }
 
+    async _linkPageData(bookMap) {
+        const orwell1984 = bookMap['1984'];
+        const animalFarm = bookMap['Animal Farm'];
+
+        return Promise.all([
+            orwell1984.pages.create({ number: 1 }),
+            orwell1984.pages.create({ number: 2 }),
+            orwell1984.pages.create({ number: 3 }),
+            animalFarm.pages.create({ number: 1 }),
+        ]);
+    }
+
+    async _linkGenreData(bookMap, genreMap) {
+        const {
+            Fiction,
+            Dystopia,
+            Fantasy,
+            Satire,
+        } = genreMap;
+        const genres = {
+            1984: [Fiction, Dystopia],
+            'Animal Farm': [Fiction, Satire],
+            'The hunger games': [Fiction, Dystopia],
+            'Harry Potter': [Fantasy],
+        };
+
+        return Promise.all(Object
+            .keys(genres)
+            .map(title => bookMap[title].updateAttribute(
+                'genreIds',
+                genres[title].map(genre => genre.id),
+            )));
+    }
+
+    async _linkPictureData(bookMap, authorMap) {
+        return Promise.all([
+            bookMap['1984'].pictures.create({ name: 'Big Brother' }),
+            bookMap['The great gatsby'].pictures.create({ name: 'Eyes of Doctor Eckleburg' }),
+            bookMap['Animal Farm'].pictures.create({ name: 'Draft', visible: false }),
+            authorMap.Orwell.pictures.create({ name: 'Portrait' }),
+            authorMap.Fitzgerald.pictures.create({ name: 'Portrait' }),
+        ]);
+    }
+
+    async _linkEditionData(bookMap) {
+        return Promise.all([
+            bookMap['1984'].editions.create({ isbn: '9780451524935' }),
+            bookMap['1984'].editions.create({ isbn: '9780141187761' }),
+            bookMap['Animal Farm'].editions.create({ isbn: '9780451526342' }),
+        ]);
+    }
+
+    async _linkLibraryData(bookMap) {
+        const [cityLibrary, universityLibrary] = await this.createModels(this.Library, [
+            { name: 'City Library' },
+            { name: 'University Library' },
+        ]);
+        // holdings reference the editions by isbn, features the books by id
+        return Promise.all([
+            this.Holding.create({ libraryId: cityLibrary.id, isbn: '9780451524935' }),
+            this.Holding.create({ libraryId: cityLibrary.id, isbn: '9780451526342' }),
+            this.Holding.create({ libraryId: universityLibrary.id, isbn: '9780141187761' }),
+            this.Feature.create({
+                libraryId: cityLibrary.id,
+                featuredBookId: bookMap['The great gatsby'].id,
+            }),
+            this.Feature.create({
+                libraryId: universityLibrary.id,
+                featuredBookId: bookMap['1984'].id,
+            }),
+        ]);
+    }
+
+    async _linkTranslationData(bookMap) {
+        const orwell1984 = bookMap['1984'];
+        const animalFarm = bookMap['Animal Farm'];
+        // translations are identified by the book and the language (composite id)
+        await this.createModels(this.Translation, [
+            { bookId: orwell1984.id, language: 'de', translatedTitle: 'Neunzehnhundertvierundachtzig' },
+            { bookId: orwell1984.id, language: 'fr', translatedTitle: 'Mille neuf cent quatre-vingt-quatre' },
+            { bookId: animalFarm.id, language: 'de', translatedTitle: 'Farm der Tiere' },
+        ]);
+        return this.createModels(this.Narration, [
+            { bookId: orwell1984.id, language: 'de', narrator: 'Anna' },
+            { bookId: orwell1984.id, language: 'fr', narrator: 'Carla' },
+            { bookId: animalFarm.id, language: 'de', narrator: 'Ben' },
+        ]);
+    }
+
     mapEntities(entities, property) {
         return entities.reduce((map, entity) => {
             // eslint-disable-next-line no-param-reassign
@@ -0,0 +1,16 @@
+module.exports = function() {
+    return [
+        {
+            name: 'Fiction',
+        },
+        {
+            name: 'Dystopia',
+        },
+        {
+            name: 'Fantasy',
+        },
+        {
+            name: 'Satire',
+        },
+    ];
+};
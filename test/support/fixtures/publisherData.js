@@ -2,6 +2,9 @@ module.exports = function() {
     return [
         {
             name: 'Scribner',
+            // New York
+            location: { lat: 40.7128, lng: -74.006 },
+            headquartersAddress: { street: '597 Fifth Avenue', city: 'New York', country: 'USA' },
         },
         {
             name: 'Scholastic Press',
@@ -14,9 +17,15 @@ module.exports = function() {
         },
         {
             name: 'Secker and Warburg',
+            // London
+            location: { lat: 51.5074, lng: -0.1278 },
+            headquartersAddress: { city: 'London', country: 'UK' },
         },
         {
             name: 'NAL',
+            // Boston
+            location: { lat: 42.3601, lng: -71.0589 },
+            headquartersAddress: { city: 'New York', country: 'USA' },
         },
     ];
 };
@@ -0,0 +1,8 @@
+// functions can not be configured in json: the schemas of the tenant's tables are passed in the
+// options of the find invocation (see SearchComponentTest)
+module.exports = {
+    '../../../index': {
+        schemaResolver: ({ modelName, schema, options }) => (options.schemas
+            && options.schemas[modelName]) || schema,
+    },
+};
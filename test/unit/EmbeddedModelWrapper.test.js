@@ -0,0 +1,47 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+
+const EmbeddedModelWrapper = require('../../src/EmbeddedModelWrapper');
+
+function createEmbeddedModel(properties) {
+    return {
+        modelName: 'Review',
+        definition: { properties },
+    };
+}
+
+describe('The EmbeddedModelWrapper class', () => {
+
+    it('can be instantiated for models without data source', () => {
+        const wrapper = EmbeddedModelWrapper.fromModel(createEmbeddedModel({}), 'review');
+        expect(wrapper).to.be.instanceOf(EmbeddedModelWrapper);
+        expect(wrapper.as('other')).to.be.instanceOf(EmbeddedModelWrapper);
+    });
+
+    it('preserves the case of the column names', () => {
+        const wrapper = EmbeddedModelWrapper.fromModel(createEmbeddedModel({}), 'review');
+        expect(wrapper.getColumnName('publishedAt', { preserveCase: false }))
+            .to.be.equal('review.publishedAt');
+    });
+
+    it('maps the properties to the columns of a record', () => {
+        const model = createEmbeddedModel({
+            reviewer: { type: String },
+            rating: { type: 'number' },
+            verified: { type: Boolean },
+            publishedAt: { type: Date },
+            tags: { type: [String] },
+            data: { type: 'object' },
+        });
+        const wrapper = EmbeddedModelWrapper.fromModel(model, 'review');
+        expect(wrapper.getRecordDefinition()).to.be.deep.equal([
+            { name: 'reviewer', type: 'text' },
+            { name: 'rating', type: 'numeric' },
+            { name: 'verified', type: 'boolean' },
+            { name: 'publishedAt', type: 'timestamptz' },
+            { name: 'tags', type: 'jsonb' },
+            { name: 'data', type: 'jsonb' },
+        ]);
+    });
+
+});
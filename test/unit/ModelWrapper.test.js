@@ -8,6 +8,7 @@ class MockModel {
         this.modelName = modelName;
         this.dataSource = {
             connector: {
+                name: 'postgresql',
                 table(nameOfModel) {
                     return nameOfModel;
                 },
@@ -16,6 +17,10 @@ class MockModel {
                 },
             },
         };
+        this.definition = {
+            properties: {},
+            settings: {},
+        };
     }
 }
 
@@ -66,5 +71,228 @@ describe('The ModelWrapper class', () => {
             expect(wrapper.getColumnName('startDate', { preserveCase })).to.be.equal('test.startdate');
         });
 
+        it('resolves the column declared in the connector settings of the property', () => {
+            const model = new MockModel('TestModel');
+            model.definition.properties = {
+                publicationDate: { type: Date, postgresql: { columnName: 'pub_date' } },
+                editionNumber: { type: Number, postgresql: { column: 'edition_no' } },
+                title: { type: String, postgresql: { dataType: 'text' } },
+            };
+            const wrapper = new ModelWrapper(model, 'test');
+
+            expect(wrapper.getColumnName('publicationDate', { preserveCase: false }))
+                .to.be.equal('test.pub_date');
+            expect(wrapper.getColumnName('editionNumber')).to.be.equal('test.edition_no');
+            expect(wrapper.getMappedColumn('title')).to.be.equal(null);
+        });
+
+        it('uses columns declared in the connector settings which only differ in case', () => {
+            const model = new MockModel('TestModel');
+            model.definition.properties = {
+                firstName: { type: String, postgresql: { columnName: 'firstname' } },
+            };
+            const columns = new Set(['firstName', 'firstname']);
+            const schema = {
+                getColumns: () => columns,
+            };
+            const wrapper = new ModelWrapper(model, 'test');
+
+            expect(wrapper.getMappedColumn('firstName')).to.be.equal('firstname');
+            expect(wrapper.getColumnName('firstName')).to.be.equal('test.firstname');
+            expect(wrapper.getColumn('firstName', { schema })).to.be.equal('firstname');
+        });
+
+        it('resolves the column from the schema, the "preserveCase" option is the fallback', () => {
+            const model = new MockModel('TestModel');
+            const columns = new Set(['startdate', 'endDate', 'Title']);
+            const schema = {
+                getColumns: (dataSource, table) => (table === 'test.TestModel' ? columns : null),
+            };
+            const wrapper = new ModelWrapper(model, 'test');
+
+            expect(wrapper.getColumn('startDate', { schema })).to.be.equal('startdate');
+            expect(wrapper.getColumn('endDate', { schema, preserveCase: false }))
+                .to.be.equal('endDate');
+            expect(wrapper.getColumn('title', { schema })).to.be.equal('Title');
+            expect(wrapper.getColumn('createdAt', { schema })).to.be.equal('createdAt');
+            expect(wrapper.getColumn('createdAt', { schema, preserveCase: false }))
+                .to.be.equal('createdat');
+        });
+
+    });
+
+    describe('ModelWrapper.getSchema()', () => {
+
+        it('returns the schema of the connector settings by default', () => {
+            const wrapper = new ModelWrapper(new MockModel('TestModel'));
+            expect(wrapper.getSchema()).to.be.equal('test');
+            expect(wrapper.getTable()).to.be.equal('test.TestModel');
+        });
+
+        it('returns the schema resolved by the schemaResolver, the settings are the fallback', () => {
+            const schemaResolver = modelName => (modelName === 'Tenant' ? 'tenant_a' : null);
+            const wrapper = new ModelWrapper(new MockModel('Tenant'), null, { schemaResolver });
+            const sharedWrapper = new ModelWrapper(new MockModel('Shared'), null, { schemaResolver });
+
+            expect(wrapper.getTable()).to.be.equal('tenant_a.Tenant');
+            expect(wrapper.as('tenant').getAliasedTable()).to.be.equal('tenant_a.Tenant as tenant');
+            expect(sharedWrapper.getTable()).to.be.equal('test.Shared');
+        });
+
+    });
+
+    describe('ModelWrapper.getPropertyType(propertyName)', () => {
+
+        it('returns the lowercased name of the property type', () => {
+            const model = new MockModel('TestModel');
+            function GeoPoint() {}
+            model.definition.properties = {
+                title: { type: String },
+                location: { type: GeoPoint },
+                tags: { type: [String] },
+                data: { type: 'object' },
+                bookId: {},
+            };
+            const wrapper = new ModelWrapper(model);
+
+            expect(wrapper.getPropertyType('title')).to.be.equal('string');
+            expect(wrapper.getPropertyType('location')).to.be.equal('geopoint');
+            expect(wrapper.getPropertyType('tags')).to.be.equal('array');
+            expect(wrapper.getPropertyType('data')).to.be.equal('object');
+            expect(wrapper.getPropertyType('bookId')).to.be.equal('any');
+        });
+
+        it('returns null for unknown properties', () => {
+            const model = new MockModel('TestModel');
+            const wrapper = new ModelWrapper(model);
+
+            expect(wrapper.getPropertyType('unknown')).to.be.equal(null);
+        });
+
+    });
+
+    describe('ModelWrapper.getDefaultScope()', () => {
+
+        it('returns the default scope of the model unless it is a function', () => {
+            const model = new MockModel('TestModel');
+            const wrapper = new ModelWrapper(model);
+            expect(wrapper.getDefaultScope()).to.be.equal(null);
+
+            model.definition.settings.scope = { where: { active: true } };
+            expect(wrapper.getDefaultScope()).to.be.deep.equal({ where: { active: true } });
+
+            model.definition.settings.scope = () => ({ where: { active: true } });
+            expect(wrapper.getDefaultScope()).to.be.equal(null);
+        });
+
+    });
+
+    describe('ModelWrapper.getPropertyQueriedThrough(relation)', () => {
+
+        function createMapping(keyThrough, throughRelations = {}) {
+            const library = new MockModel('Library');
+            const edition = new MockModel('Edition');
+            const holding = new MockModel('Holding');
+            holding.relations = throughRelations;
+            const relation = {
+                modelFrom: library,
+                modelTo: edition,
+                modelThrough: holding,
+                keyFrom: 'id',
+                keyTo: 'libraryId',
+                keyThrough,
+            };
+            return { relation, edition, holding };
+        }
+
+        it('returns the keyFrom of the reverse relation', () => {
+            const { relation, edition, holding } = createMapping('isbn');
+            edition.relations = {
+                libraries: {
+                    modelFrom: edition,
+                    modelTo: relation.modelFrom,
+                    modelThrough: holding,
+                    keyFrom: 'isbn',
+                    keyTo: 'isbn',
+                    keyThrough: 'libraryId',
+                },
+            };
+
+            expect(new ModelWrapper(edition).getPropertyQueriedThrough(relation))
+                .to.be.equal('isbn');
+        });
+
+        it('returns the keyTo of the belongsTo relation of the through model', () => {
+            const { relation, edition } = createMapping('isbn', {
+                edition: {
+                    type: 'belongsTo',
+                    modelTo: new MockModel('Edition'),
+                    keyFrom: 'isbn',
+                    keyTo: 'isbn',
+                },
+            });
+
+            expect(new ModelWrapper(edition).getPropertyQueriedThrough(relation))
+                .to.be.equal('isbn');
+        });
+
+        it('returns null if the referenced property can not be determined', () => {
+            const { relation, edition } = createMapping('editionId');
+
+            expect(new ModelWrapper(edition).getPropertyQueriedThrough(relation))
+                .to.be.equal(null);
+            expect(new ModelWrapper(new MockModel('Book')).getPropertyQueriedThrough(relation))
+                .to.be.equal(null);
+        });
+
+    });
+
+    describe('ModelWrapper.getIdProperties(options = {})', () => {
+
+        it('returns all properties of composite ids ordered by their index', () => {
+            const model = new MockModel('Translation');
+            model.definition.idNames = () => ['bookId', 'language'];
+            const wrapper = new ModelWrapper(model, 'translation');
+
+            expect(wrapper.getIdProperties({ ignoreAlias: true }))
+                .to.be.deep.equal(['bookId', 'language']);
+            expect(wrapper.getIdProperties({ preserveCase: false }))
+                .to.be.deep.equal(['translation.bookid', 'translation.language']);
+        });
+
+    });
+
+    describe('ModelWrapper.getRelationKeys(relation)', () => {
+
+        it('returns the keys of the relation', () => {
+            const wrapper = new ModelWrapper(new MockModel('Book'));
+            const relation = { keyFrom: 'id', keyTo: 'bookId' };
+
+            expect(wrapper.getRelationKeys(relation)).to.be.deep.equal({
+                keys: [['id', 'bookId']],
+                keysThrough: [],
+            });
+        });
+
+        it('returns the composite keys declared in the options of the relation', () => {
+            const wrapper = new ModelWrapper(new MockModel('Translation'));
+            const relation = {
+                keyFrom: 'bookId',
+                keyTo: 'bookId',
+                modelThrough: new MockModel('Narration'),
+                options: {
+                    relationFilter: {
+                        keys: { bookId: 'bookId', language: 'language' },
+                        keysThrough: { narratorId: 'id' },
+                    },
+                },
+            };
+
+            expect(wrapper.getRelationKeys(relation)).to.be.deep.equal({
+                keys: [['bookId', 'bookId'], ['language', 'language']],
+                keysThrough: [['narratorId', 'id']],
+            });
+        });
+
     });
 });
@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+
+const RelativeDateResolver = require('../../src/RelativeDateResolver');
+const { InvalidValueError } = require('../../src/error');
+
+describe('The RelativeDateResolver Class', () => {
+
+    // a sunday during the switch to daylight saving time in Europe/Zurich
+    const now = new Date('2026-03-29T10:30:00.000Z');
+
+    it('detects relative dates', () => {
+        expect(RelativeDateResolver.isRelativeDate('$now-30d')).to.be.equal(true);
+        expect(RelativeDateResolver.isRelativeDate('2019-01-01')).to.be.equal(false);
+        expect(RelativeDateResolver.isRelativeDate(new Date())).to.be.equal(false);
+    });
+
+    it('#resolve: resolves anchors and offsets in UTC', () => {
+        const resolver = new RelativeDateResolver();
+        const resolve = relativeDate => resolver.resolve(relativeDate, now).toISOString();
+        expect(resolve('$now')).to.be.equal('2026-03-29T10:30:00.000Z');
+        expect(resolve('$now-30d')).to.be.equal('2026-02-27T10:30:00.000Z');
+        expect(resolve('$now+2h-15m')).to.be.equal('2026-03-29T12:15:00.000Z');
+        expect(resolve('$today')).to.be.equal('2026-03-29T00:00:00.000Z');
+        expect(resolve('$startOfWeek')).to.be.equal('2026-03-23T00:00:00.000Z');
+        expect(resolve('$startOfMonth-1M')).to.be.equal('2026-02-01T00:00:00.000Z');
+        expect(resolve('$startOfYear+1y-1w')).to.be.equal('2026-12-25T00:00:00.000Z');
+    });
+
+    it('#resolve: resolves anchors in the configured timezone', () => {
+        const resolver = new RelativeDateResolver({ timezone: 'Europe/Zurich' });
+        const resolve = relativeDate => resolver.resolve(relativeDate, now).toISOString();
+        expect(resolve('$now')).to.be.equal('2026-03-29T10:30:00.000Z');
+        // midnight was still in winter time (+01:00)
+        expect(resolve('$today')).to.be.equal('2026-03-28T23:00:00.000Z');
+        expect(resolve('$today+1d')).to.be.equal('2026-03-29T22:00:00.000Z');
+        expect(resolve('$startOfMonth')).to.be.equal('2026-02-28T23:00:00.000Z');
+    });
+
+    it('#resolve: returns null for invalid relative dates', () => {
+        const resolver = new RelativeDateResolver();
+        expect(resolver.resolve('$yesterday', now)).to.be.equal(null);
+        expect(resolver.resolve('$now-30x', now)).to.be.equal(null);
+        expect(resolver.resolve('$now 30d', now)).to.be.equal(null);
+    });
+
+    it('rejects invalid timezones', () => {
+        expect(() => new RelativeDateResolver({ timezone: 'Europe/Atlantis' }))
+            .to.throw(InvalidValueError);
+    });
+
+});
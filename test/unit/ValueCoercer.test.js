@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+
+const ValueCoercer = require('../../src/ValueCoercer');
+const { InvalidValueError } = require('../../src/error');
+
+describe('The ValueCoercer Class', () => {
+
+    it('resolves the type name of loopback types', () => {
+        expect(new ValueCoercer('Model.a', Number)).to.have.property('type', 'number');
+        expect(new ValueCoercer('Model.b', 'Date')).to.have.property('type', 'date');
+        expect(new ValueCoercer('Model.c', [String])).to.include({ type: 'string', isArray: true });
+        expect(new ValueCoercer('Model.d')).to.have.property('type', 'any');
+    });
+
+    it('#coerce: converts numbers and keeps falsy values', () => {
+        const coercer = new ValueCoercer('Page.number', Number);
+        expect(coercer.coerce('12')).to.be.equal(12);
+        expect(coercer.coerce('-1.5')).to.be.equal(-1.5);
+        expect(coercer.coerce(0)).to.be.equal(0);
+        expect(coercer.coerce(null)).to.be.equal(null);
+        expect(() => coercer.coerce('twelve')).to.throw(InvalidValueError);
+        expect(() => coercer.coerce('')).to.throw(InvalidValueError);
+        expect(() => coercer.coerce(true)).to.throw(InvalidValueError);
+    });
+
+    it('#coerce: converts booleans', () => {
+        const coercer = new ValueCoercer('Book.published', Boolean);
+        expect(coercer.coerce('true')).to.be.equal(true);
+        expect(coercer.coerce('false')).to.be.equal(false);
+        expect(coercer.coerce(0)).to.be.equal(false);
+        expect(coercer.coerce(false)).to.be.equal(false);
+        expect(() => coercer.coerce('yes')).to.throw(InvalidValueError);
+    });
+
+    it('#coerce: converts dates', () => {
+        const coercer = new ValueCoercer('Migration.started', Date);
+        const date = new Date('2019-01-01T00:00:00.000Z');
+        expect(coercer.coerce('2019-01-01T00:00:00.000Z')).to.be.deep.equal(date);
+        expect(coercer.coerce(date.getTime())).to.be.deep.equal(date);
+        expect(() => coercer.coerce('yesterday')).to.throw(InvalidValueError);
+    });
+
+    it('#coerce: resolves relative dates', () => {
+        const coercer = new ValueCoercer('Migration.started', Date);
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        expect(coercer.coerce('$today')).to.be.deep.equal(today);
+        expect(() => coercer.coerce('$yesterday')).to.throw(InvalidValueError);
+    });
+
+    it('#coerce: converts strings and passes json values as they are', () => {
+        const stringCoercer = new ValueCoercer('Book.title', String);
+        expect(stringCoercer.coerce(1984)).to.be.equal('1984');
+        expect(stringCoercer.coerce('')).to.be.equal('');
+        expect(() => stringCoercer.coerce({ title: 'x' })).to.throw(InvalidValueError);
+
+        const data = { status: 'done' };
+        expect(new ValueCoercer('Migration.data', 'json').coerce(data)).to.be.equal(data);
+    });
+
+    it('#coerce: converts the items of array properties', () => {
+        const coercer = new ValueCoercer('Book.ratings', [Number]);
+        expect(coercer.coerce(['1', 2])).to.be.deep.equal([1, 2]);
+        expect(coercer.coerce('3')).to.be.equal(3);
+    });
+
+    it('#coerceComparison: converts the values of all operators', () => {
+        const coercer = new ValueCoercer('Page.number', Number);
+        const comparison = {
+            gt: '1',
+            inq: { 0: '2', 1: '3' },
+            between: ['4', '5'],
+            like: 1,
+            ailike: 2,
+        };
+        expect(coercer.coerceComparison(comparison)).to.be.deep.equal({
+            gt: 1,
+            inq: [2, 3],
+            between: [4, 5],
+            like: '1',
+            ailike: '2',
+        });
+    });
+
+    it('#coerceComparison: rejects invalid lists', () => {
+        const coercer = new ValueCoercer('Page.number', Number);
+        expect(() => coercer.coerceComparison({ inq: '1' })).to.throw(InvalidValueError);
+        expect(() => coercer.coerceComparison({ between: [1] })).to.throw(InvalidValueError);
+        expect(() => coercer.coerceComparison({ inq: ['1', 'x'] })).to.throw(InvalidValueError);
+    });
+});